@@ -0,0 +1,24 @@
+/**
+ * Credit bureau information used in dispute letters
+ *
+ * NOTA: Direcciones de disputas por correo publicadas por cada buró.
+ * Verificar periódicamente en los sitios oficiales.
+ */
+
+module.exports = {
+  transunion: {
+    name: 'TransUnion LLC',
+    department: 'Consumer Dispute Center',
+    address: ['P.O. Box 2000', 'Chester, PA 19016'],
+  },
+  experian: {
+    name: 'Experian',
+    department: 'Dispute Department',
+    address: ['P.O. Box 4500', 'Allen, TX 75013'],
+  },
+  equifax: {
+    name: 'Equifax Information Services LLC',
+    department: 'Dispute Department',
+    address: ['P.O. Box 740256', 'Atlanta, GA 30374'],
+  },
+};
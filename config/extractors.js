@@ -5,6 +5,8 @@
  * Estructura validada con cuenta de ejemplo: NATNS DIRET, ROUNDPOINT, FLAGSTARBANK
  */
 
+const selectors = require('./selectors');
+
 module.exports = {
   // ========================================
   // PERSONAL INFORMATION (YA IMPLEMENTADO)
@@ -123,17 +125,26 @@ module.exports = {
   // ========================================
   publicRecords: {
     type: 'record-list',
-    sectionSelector: 'section:has(h5:contains("Public Records"))',
-    recordContainerSelector: 'div.record-item',  // ajustar según HTML real
+    sectionSelector: 'section.mt-5',
+    sectionHeading: 'Public Records',
 
+    // Cada registro tiene el mismo layout que una cuenta de Account History:
+    // título + grid de 4 columnas (labels + 3 burós)
+    recordContainerSelector: 'div.my-3.border-b.border-5.border-color-gray-300',
+    recordNameSelector: 'p.h6 strong',  // ej: "CHAPTER 7 BANKRUPTCY"
+    gridSelector: 'div.d-grid.grid-cols-4',
+    bureauColumnSelector: 'div.d-contents',
+    gridCellSelector: 'p.grid-cell',
+
+    // Campos por buró; se ubican por el texto del label (columna 0) porque
+    // las filas cambian según el tipo de registro (bankruptcy, judgment, lien)
     fields: [
-      { name: 'record_type', selector: '.record-type', transform: 'cleanText' },
-      { name: 'filing_date', selector: '.filing-date', transform: 'parseDate' },
-      { name: 'status', selector: '.status', transform: 'cleanText' },
-      { name: 'court', selector: '.court', transform: 'cleanText' },
-      { name: 'case_number', selector: '.case-number', transform: 'cleanText' },
-      { name: 'amount', selector: '.amount', transform: 'cleanText' },
-      // NOTA: Ajustar selectores cuando se tenga acceso al HTML real de Public Records
+      { name: 'record_type', labels: ['Type', 'Record Type'] },
+      { name: 'filing_date', labels: ['Date Filed', 'Filing Date', 'Date Reported'] },
+      { name: 'status', labels: ['Status'] },
+      { name: 'court', labels: ['Court', 'Court Name'] },
+      { name: 'case_number', labels: ['Reference #', 'Reference Number', 'Case Number', 'Docket'] },
+      { name: 'amount', labels: ['Amount', 'Liability', 'Asset Amount', 'Exempt Amount'] }
     ]
   },
 
@@ -155,22 +166,42 @@ module.exports = {
   // ========================================
   creditorContacts: {
     type: 'interactive-list',
-    sectionSelector: 'section:has(h5:contains("Creditor Contacts"))',
-    contactContainerSelector: 'div.creditor-contact',  // ajustar según HTML real
+    sectionSelector: 'section.mt-5',
+    sectionHeading: 'Creditor Contacts',
 
-    // Botón que expande los detalles
-    showButtonSelector: 'button:contains("Show")',
-    hideButtonSelector: 'button:contains("Hide")',
+    // Una fila por acreedor (mismo estilo que las filas de Inquiries)
+    contactContainerSelector: 'div.border-color-gray-100.border-b',
+    nameSelector: 'p.grid-cell strong, p.grid-cell',  // primera celda: nombre del acreedor
 
-    // Contenedor que aparece al hacer click
-    detailsContainerSelector: '.contact-details',
+    // Botón que expande los detalles (se filtra por texto; :contains no es CSS válido)
+    showButtonSelector: 'button',
+    showButtonText: 'show',
 
-    fields: [
-      { name: 'company_name', selector: '.company-name', transform: 'cleanText' },
-      { name: 'phone', selector: '.phone', transform: 'cleanText' },
-      { name: 'address', selector: '.address', transform: 'cleanText' },
-      { name: 'email', selector: '.email', transform: 'cleanText' },
-      // NOTA: Ajustar selectores cuando se tenga acceso al HTML real de Creditor Contacts
-    ]
+    // Dirección y teléfono aparecen como líneas de texto al expandir la fila;
+    // se separan en Node con parseContact() (el teléfono se reconoce por su formato)
+    fields: ['creditor_name', 'address', 'phone']
+  },
+
+  // ========================================
+  // DASHBOARD (/member/ - ScoreTracker, ScoreBuilder, ScoreBoost, Future Score)
+  // ========================================
+  dashboard: {
+    type: 'dashboard',
+    cardSelector: selectors.SCORE_CARD_CONTAINER,
+    scoreDateSelector: selectors.SCORE_DATE,
+    // Cada feature es un div.score-feature-title con un h4; se busca por texto
+    // (los selectores :has(h4:contains(...)) de config/selectors.js no son CSS válido)
+    featureTitleSelector: 'div.score-feature-title',
+    featureHeadingSelector: 'h4',
+    features: {
+      scoreTracker: 'ScoreTracker',
+      scoreBuilder: 'ScoreBuilder',
+      scoreBoost: 'ScoreBoost',
+      futureScore: 'Your Future Score'
+    },
+    currentScoreSelector: selectors.CURRENT_SCORE_TRACKER,
+    boostValueSelector: selectors.SCORE_BUILDER_BOOST,
+    futureScoreSelector: selectors.FUTURE_SCORE,
+    textSelector: selectors.ALL_TEXT_CONTENT
   }
 };
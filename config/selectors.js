@@ -12,6 +12,9 @@ module.exports = {
   PASSWORD_INPUT: 'input#j_password',
   SUBMIT_BUTTON: 'button[name="loginbttn"]',
 
+  // Verificación de identidad (código por SMS/email) después del login
+  MFA_CODE_INPUT: 'input[autocomplete="one-time-code"], input[name*="otp" i], input[name*="verification" i], input[id*="otp" i]',
+
   // Dashboard - Main container
   SCORE_CARD_CONTAINER: '.card-body',
 
@@ -4,6 +4,7 @@
  */
 
 const authService = require('../services/auth-service');
+const User = require('../models/User');
 
 /**
  * Middleware to verify JWT token
@@ -33,6 +34,42 @@ function authenticateToken(req, res, next) {
   }
 }
 
+/**
+ * Middleware to accept the JWT as ?token= (use before authenticateToken)
+ * Only for endpoints consumed by EventSource, which cannot send headers
+ */
+function allowQueryToken(req, res, next) {
+  if (!req.headers['authorization'] && typeof req.query.token === 'string') {
+    req.headers['authorization'] = `Bearer ${req.query.token}`;
+  }
+
+  next();
+}
+
+/**
+ * Middleware to load the user's role (use after authenticateToken)
+ * The role is read from MongoDB on every request so revoking admin takes effect immediately
+ */
+async function loadUserRole(req, res, next) {
+  try {
+    const user = await User.findById(req.user.id).select('role isActive');
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'User not found or deactivated'
+      });
+    }
+
+    req.user.role = user.role;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
 module.exports = {
   authenticateToken,
+  allowQueryToken,
+  loadUserRole,
 };
@@ -0,0 +1,49 @@
+/**
+ * Error Handler Middleware
+ * Maps typed errors (utils/errors) to HTTP responses
+ */
+
+const { toAppError } = require('../utils/errors');
+
+/**
+ * Central Express error handler (mount after every route and the 404 handler)
+ * Routes forward unexpected errors with next(error); Express needs all four arguments
+ */
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  // Malformed JSON body (express.json)
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_JSON',
+      message: 'Request body is not valid JSON'
+    });
+  }
+
+  const appError = toAppError(err);
+
+  if (appError.status >= 500) {
+    console.error(`Error handling ${req.method} ${req.originalUrl}:`, err);
+  }
+
+  // Rate limits tell the client when to come back
+  if (appError.retryAfter) {
+    res.set('Retry-After', String(appError.retryAfter));
+  }
+
+  res.status(appError.status).json({
+    success: false,
+    error: appError.code,
+    message: appError.userMessage,
+    retryable: appError.retryable,
+    stage: appError.stage,
+    ...(appError.retryAfter ? { retryAfter: appError.retryAfter } : {}),
+  });
+}
+
+module.exports = {
+  errorHandler,
+};
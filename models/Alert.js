@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const ALERT_TYPES = ['new_hard_inquiry', 'new_account', 'new_late_payment', 'score_drop', 'address_change'];
+
+const deliverySchema = new mongoose.Schema(
+  {
+    channel: { type: String, required: true }, // webhook | email
+    status: { type: String, enum: ['sent', 'failed'], required: true },
+    error: { type: String, default: null },
+    deliveredAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const alertSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    reportId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CreditReport',
+      required: true,
+    },
+    previousReportId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CreditReport',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ALERT_TYPES,
+      required: true,
+    },
+    bureau: {
+      type: String,
+      default: null,
+    },
+    message: {
+      type: String,
+      required: true,
+    },
+    data: {
+      type: mongoose.Schema.Types.Mixed, // Rule-specific details (inquiry, account, score change...)
+      default: null,
+    },
+    deliveries: [deliverySchema],
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt
+  }
+);
+
+// Index for efficient querying
+alertSchema.index({ userId: 1, createdAt: -1 });
+
+// Method to get public alert data
+alertSchema.methods.getSummary = function () {
+  return {
+    _id: this._id,
+    type: this.type,
+    bureau: this.bureau,
+    message: this.message,
+    data: this.data,
+    reportId: this.reportId,
+    previousReportId: this.previousReportId,
+    deliveries: this.deliveries,
+    read: !!this.readAt,
+    readAt: this.readAt,
+    createdAt: this.createdAt,
+  };
+};
+
+alertSchema.statics.TYPES = ALERT_TYPES;
+
+const Alert = mongoose.model('Alert', alertSchema);
+
+module.exports = Alert;
@@ -14,7 +14,7 @@ const creditReportSchema = new mongoose.Schema(
     },
     scrapingStatus: {
       type: String,
-      enum: ['pending', 'in_progress', 'completed', 'failed'],
+      enum: ['pending', 'in_progress', 'completed', 'failed', 'cancelled'],
       default: 'completed',
     },
     scrapingDuration: {
@@ -29,6 +29,11 @@ const creditReportSchema = new mongoose.Schema(
       userAgent: String,
       ipAddress: String,
       scrapedSections: [String], // List of sections that were scraped
+      partial: {
+        type: Boolean, // Not every section or not every account was requested
+        default: false,
+      },
+      emptySections: [String], // Requested sections that came back empty (not comparable with other reports)
     },
   },
   {
@@ -49,6 +54,8 @@ creditReportSchema.methods.getSummary = function () {
     duration: this.scrapingDuration,
     hasCreditScores: !!this.reportData?.credit_scores_3b,
     accountCount: this.reportData?.account_history?.length || 0,
+    sections: this.metadata?.scrapedSections || [],
+    partial: this.metadata?.partial || false,
   };
 };
 
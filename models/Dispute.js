@@ -0,0 +1,239 @@
+const mongoose = require('mongoose');
+const bureaus = require('../config/bureaus');
+
+const DISPUTE_STATUSES = ['draft', 'sent', 'in_investigation', 'verified', 'deleted', 'updated'];
+
+// Statuses where the bureau still owes us a response
+const OPEN_STATUSES = ['sent', 'in_investigation'];
+
+// Allowed status transitions (a new round resets verified/updated disputes to draft)
+const STATUS_TRANSITIONS = {
+  draft: ['sent'],
+  sent: ['in_investigation', 'verified', 'deleted', 'updated'],
+  in_investigation: ['verified', 'deleted', 'updated'],
+  verified: [],
+  deleted: [],
+  updated: [],
+};
+
+// FCRA response window: 30 days, 45 when the consumer sends extra info during the investigation
+const RESPONSE_DAYS = [30, 45];
+
+const statusChangeSchema = new mongoose.Schema(
+  {
+    status: { type: String, enum: DISPUTE_STATUSES, required: true },
+    round: { type: Number, required: true },
+    note: { type: String, default: null },
+    changedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const outcomeSchema = new mongoose.Schema(
+  {
+    round: { type: Number, required: true },
+    status: { type: String, enum: DISPUTE_STATUSES, required: true },
+    previousReportId: { type: mongoose.Schema.Types.ObjectId, ref: 'CreditReport', required: true },
+    newReportId: { type: mongoose.Schema.Types.ObjectId, ref: 'CreditReport', required: true },
+    changes: [
+      {
+        _id: false,
+        field: String,
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    detectedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const disputeSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    reportId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CreditReport',
+      required: true,
+    },
+    bureau: {
+      type: String,
+      enum: Object.keys(bureaus),
+      required: [true, 'Bureau is required'],
+    },
+    // Disputed item, copied from the report so it survives report deletion
+    item: {
+      type: {
+        type: String,
+        enum: ['account', 'inquiry'],
+        required: true,
+      },
+      index: { type: Number, required: true }, // Position in account_history / inquiries.details
+      accountName: { type: String, default: null },
+      accountNumber: { type: String, default: null },
+      creditorName: { type: String, default: null },
+      inquiryDate: { type: String, default: null },
+    },
+    reason: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    notes: {
+      type: String,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: DISPUTE_STATUSES,
+      default: 'draft',
+    },
+    round: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
+    sentAt: {
+      type: Date,
+      default: null,
+    },
+    responseDays: {
+      type: Number,
+      enum: RESPONSE_DAYS,
+      default: 30,
+    },
+    responseDueAt: {
+      type: Date,
+      default: null,
+    },
+    resolvedAt: {
+      type: Date,
+      default: null,
+    },
+    statusHistory: [statusChangeSchema],
+    // Evidence of each detected result (disputed report vs. newer report), one per round
+    outcomes: [outcomeSchema],
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt
+  }
+);
+
+// Indexes for efficient querying
+disputeSchema.index({ userId: 1, createdAt: -1 });
+disputeSchema.index({ userId: 1, status: 1, responseDueAt: 1 });
+
+// Keep the response deadline in sync with sentAt / responseDays
+disputeSchema.pre('validate', function () {
+  this.responseDueAt = this.computeResponseDueAt();
+
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: this.status, round: this.round, note: 'Dispute created' });
+  }
+});
+
+// Method to compute the bureau response deadline (null until the dispute is sent)
+disputeSchema.methods.computeResponseDueAt = function () {
+  if (!this.sentAt) {
+    return null;
+  }
+
+  const dueAt = new Date(this.sentAt);
+  dueAt.setDate(dueAt.getDate() + this.responseDays);
+  return dueAt;
+};
+
+// Method to check if the bureau missed its response deadline
+disputeSchema.methods.isOverdue = function (now = new Date()) {
+  return OPEN_STATUSES.includes(this.status) && !!this.responseDueAt && this.responseDueAt < now;
+};
+
+// Method to move the dispute to a new status, recording the transition
+// Throws if the transition is not allowed (caller must save)
+disputeSchema.methods.transitionTo = function (status, { note = null, sentAt = null } = {}) {
+  const allowed = STATUS_TRANSITIONS[this.status] || [];
+
+  if (!allowed.includes(status)) {
+    throw new Error(`Invalid status transition: ${this.status} -> ${status}`);
+  }
+
+  if (status === 'sent') {
+    this.sentAt = sentAt ? new Date(sentAt) : new Date();
+  }
+
+  this.resolvedAt = OPEN_STATUSES.includes(status) ? null : new Date();
+  this.status = status;
+  this.statusHistory.push({ status, round: this.round, note });
+};
+
+// Method to start the next dispute round after the bureau verified or updated the item
+// Throws if the current round is not closed (caller must save)
+disputeSchema.methods.startNextRound = function ({ note = null, reason = null } = {}) {
+  if (!['verified', 'updated'].includes(this.status)) {
+    throw new Error(`Cannot start a new round from status: ${this.status}`);
+  }
+
+  // Next round is checked against the report where the last result was detected
+  const lastOutcome = this.outcomes[this.outcomes.length - 1];
+
+  if (lastOutcome && lastOutcome.round === this.round) {
+    this.reportId = lastOutcome.newReportId;
+  }
+
+  this.round += 1;
+  this.status = 'draft';
+  this.sentAt = null;
+  this.resolvedAt = null;
+  this.responseDays = 30;
+
+  if (reason) {
+    this.reason = reason;
+  }
+
+  this.statusHistory.push({ status: 'draft', round: this.round, note });
+};
+
+// Method to get public dispute data
+disputeSchema.methods.getSummary = function () {
+  return {
+    _id: this._id,
+    reportId: this.reportId,
+    bureau: this.bureau,
+    item: this.item,
+    reason: this.reason,
+    notes: this.notes,
+    status: this.status,
+    round: this.round,
+    sentAt: this.sentAt,
+    responseDays: this.responseDays,
+    responseDueAt: this.responseDueAt,
+    overdue: this.isOverdue(),
+    resolvedAt: this.resolvedAt,
+    statusHistory: this.statusHistory,
+    outcomes: this.outcomes,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt,
+  };
+};
+
+// Query for disputes past their response deadline
+disputeSchema.statics.findOverdue = function (filter = {}, now = new Date()) {
+  return this.find({
+    ...filter,
+    status: { $in: OPEN_STATUSES },
+    responseDueAt: { $ne: null, $lt: now },
+  }).sort({ responseDueAt: 1 });
+};
+
+disputeSchema.statics.STATUSES = DISPUTE_STATUSES;
+disputeSchema.statics.OPEN_STATUSES = OPEN_STATUSES;
+disputeSchema.statics.RESPONSE_DAYS = RESPONSE_DAYS;
+
+const Dispute = mongoose.model('Dispute', disputeSchema);
+
+module.exports = Dispute;
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const CreditReport = require('./CreditReport');
+
+const syncJobSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: CreditReport.schema.path('scrapingStatus').enumValues, // Same states as CreditReport
+      default: 'pending',
+    },
+    stage: {
+      type: String, // Current step of the sync flow (login, navigation, extraction...)
+      default: 'queued',
+    },
+    reportId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CreditReport',
+      default: null,
+    },
+    // What the caller asked for (validated by syncService.parseOptions)
+    options: {
+      sections: [String], // Empty = every sync section
+      accountHistory: {
+        limit: Number, // Unset = every account
+        offset: Number,
+      },
+      includeDashboard: {
+        type: Boolean,
+        default: true,
+      },
+      captureArtifacts: {
+        type: String, // failure | always | never; null = SYNC_CAPTURE_ARTIFACTS
+        default: null,
+      },
+    },
+    error: {
+      code: String,
+      message: String,
+      technicalDetails: String,
+      httpStatus: Number, // Status the error maps to (see utils/errors)
+      retryable: Boolean,
+      stage: String, // Stage where the sync failed
+    },
+    artifacts: [
+      {
+        _id: false,
+        label: String, // failure | empty-sections | run
+        reason: String,
+        url: String,
+        capturedAt: Date,
+      },
+    ],
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt
+  }
+);
+
+// Index for efficient querying
+syncJobSchema.index({ userId: 1, createdAt: -1 });
+
+// Method to get public job data
+syncJobSchema.methods.getStatus = function () {
+  return {
+    id: this._id,
+    status: this.status,
+    stage: this.stage,
+    reportId: this.reportId,
+    options: this.options,
+    error: this.error?.code ? this.error : null,
+    artifacts: this.artifacts,
+    createdAt: this.createdAt,
+    startedAt: this.startedAt,
+    completedAt: this.completedAt,
+  };
+};
+
+const SyncJob = mongoose.model('SyncJob', syncJobSchema);
+
+module.exports = SyncJob;
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// One lock per user while a sync job is pending or running
+const syncLockSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      unique: true,
+    },
+    jobId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SyncJob',
+      required: true,
+    },
+    // A lock past this date is considered abandoned and can be taken over
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt
+  }
+);
+
+// MongoDB removes abandoned locks on its own (TTL monitor runs every ~60s)
+syncLockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const SyncLock = mongoose.model('SyncLock', syncLockSchema);
+
+module.exports = SyncLock;
@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+// Number of scheduled runs kept on the schedule document
+const MAX_RUNS = 50;
+
+const scheduledRunSchema = new mongoose.Schema(
+  {
+    jobId: { type: mongoose.Schema.Types.ObjectId, ref: 'SyncJob', default: null },
+    scheduledFor: { type: Date, required: true },
+    startedAt: { type: Date, default: Date.now },
+    finishedAt: { type: Date, default: null },
+    status: {
+      type: String,
+      enum: ['running', 'completed', 'failed', 'skipped'],
+      required: true,
+    },
+    reportId: { type: mongoose.Schema.Types.ObjectId, ref: 'CreditReport', default: null },
+    message: { type: String, default: null }, // Skip reason or error code/message
+  },
+  { _id: false }
+);
+
+const syncScheduleSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      unique: true,
+    },
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+    frequency: {
+      type: String,
+      enum: FREQUENCIES,
+      required: [true, 'Frequency is required'],
+    },
+    dayOfWeek: {
+      type: Number, // 0 = Sunday (weekly only)
+      min: 0,
+      max: 6,
+      default: 1,
+    },
+    dayOfMonth: {
+      type: Number, // Up to 28 so every month has that day (monthly only)
+      min: 1,
+      max: 28,
+      default: 1,
+    },
+    hour: {
+      type: Number, // UTC hour the run window starts
+      min: 0,
+      max: 23,
+      default: 6,
+    },
+    jitterMinutes: {
+      type: Number, // Random delay added to each run to spread load
+      min: 0,
+      max: 720,
+      default: 60,
+    },
+    nextRunAt: {
+      type: Date,
+      default: null,
+    },
+    lastRunAt: {
+      type: Date,
+      default: null,
+    },
+    // Job started by the scheduler that has not finished yet (prevents overlapping runs)
+    runningJobId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SyncJob',
+      default: null,
+    },
+    // Set while a scheduler instance is processing this schedule
+    claimedAt: {
+      type: Date,
+      default: null,
+    },
+    runs: [scheduledRunSchema],
+  },
+  {
+    timestamps: true, // Adds createdAt and updatedAt
+  }
+);
+
+// Index for the scheduler due-query
+syncScheduleSchema.index({ enabled: 1, nextRunAt: 1 });
+
+// Method to compute the next run after a given date (jitter included)
+syncScheduleSchema.methods.computeNextRun = function (after = new Date()) {
+  const next = new Date(after);
+  next.setUTCHours(this.hour, 0, 0, 0);
+
+  if (this.frequency === 'weekly') {
+    next.setUTCDate(next.getUTCDate() + ((this.dayOfWeek - next.getUTCDay() + 7) % 7));
+  }
+
+  if (this.frequency === 'monthly') {
+    next.setUTCDate(this.dayOfMonth);
+  }
+
+  // Window already passed: move to the next period
+  if (next <= after) {
+    if (this.frequency === 'daily') next.setUTCDate(next.getUTCDate() + 1);
+    if (this.frequency === 'weekly') next.setUTCDate(next.getUTCDate() + 7);
+    if (this.frequency === 'monthly') next.setUTCMonth(next.getUTCMonth() + 1);
+  }
+
+  const jitterMs = Math.floor(Math.random() * this.jitterMinutes * 60 * 1000);
+  return new Date(next.getTime() + jitterMs);
+};
+
+// Method to get public schedule data
+syncScheduleSchema.methods.getSummary = function () {
+  return {
+    enabled: this.enabled,
+    frequency: this.frequency,
+    dayOfWeek: this.frequency === 'weekly' ? this.dayOfWeek : null,
+    dayOfMonth: this.frequency === 'monthly' ? this.dayOfMonth : null,
+    hour: this.hour,
+    jitterMinutes: this.jitterMinutes,
+    nextRunAt: this.enabled ? this.nextRunAt : null,
+    lastRunAt: this.lastRunAt,
+    running: !!this.runningJobId,
+    lastRun: this.runs.length > 0 ? this.runs[this.runs.length - 1] : null,
+    updatedAt: this.updatedAt,
+  };
+};
+
+syncScheduleSchema.statics.FREQUENCIES = FREQUENCIES;
+syncScheduleSchema.statics.MAX_RUNS = MAX_RUNS;
+
+const SyncSchedule = mongoose.model('SyncSchedule', syncScheduleSchema);
+
+module.exports = SyncSchedule;
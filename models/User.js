@@ -1,5 +1,17 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const credentialsCrypto = require('../utils/credentials-crypto');
+
+// Encrypted value as produced by utils/credentials-crypto
+const encryptedValueSchema = new mongoose.Schema(
+  {
+    keyId: { type: String, required: true },
+    iv: { type: String, required: true },
+    authTag: { type: String, required: true },
+    ciphertext: { type: String, required: true },
+  },
+  { _id: false }
+);
 
 const userSchema = new mongoose.Schema(
   {
@@ -26,8 +38,13 @@ const userSchema = new mongoose.Schema(
         required: [true, 'SmartCredit email is required'],
         trim: true,
       },
+      // Plain text input only: encrypted into encryptedPassword before validation
+      // (legacy documents may still hold a plain text value until rotated)
       password: {
         type: String,
+      },
+      encryptedPassword: {
+        type: encryptedValueSchema,
         required: [true, 'SmartCredit password is required'],
       },
     },
@@ -36,6 +53,11 @@ const userSchema = new mongoose.Schema(
       ref: 'CreditReport',
       default: null,
     },
+    role: {
+      type: String,
+      enum: ['user', 'admin'],
+      default: 'user',
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -46,6 +68,18 @@ const userSchema = new mongoose.Schema(
   }
 );
 
+// Encrypt SmartCredit password before validating (never stored in plain text)
+userSchema.pre('validate', function () {
+  const plainPassword = this.smartcreditCredentials?.password;
+
+  if (!plainPassword) {
+    return;
+  }
+
+  this.smartcreditCredentials.encryptedPassword = credentialsCrypto.encrypt(plainPassword);
+  this.smartcreditCredentials.password = undefined;
+});
+
 // Hash password before saving
 userSchema.pre('save', async function () {
   // Only hash if password is modified or new
@@ -66,11 +100,54 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   }
 };
 
+// Method to check if SmartCredit credentials are configured
+userSchema.methods.hasSmartcreditCredentials = function () {
+  const credentials = this.smartcreditCredentials;
+  return !!(credentials?.email && (credentials.encryptedPassword?.ciphertext || credentials.password));
+};
+
+// Method to get decrypted SmartCredit credentials (decrypt on use, never persisted)
+userSchema.methods.getSmartcreditCredentials = function () {
+  const credentials = this.smartcreditCredentials;
+
+  if (!this.hasSmartcreditCredentials()) {
+    return null;
+  }
+
+  return {
+    email: credentials.email,
+    password: credentials.encryptedPassword?.ciphertext
+      ? credentialsCrypto.decrypt(credentials.encryptedPassword)
+      : credentials.password, // Legacy plain text value (not rotated yet)
+  };
+};
+
+// Method to re-encrypt SmartCredit credentials with the active key
+// Returns true if the document was modified (caller must save)
+userSchema.methods.reencryptSmartcreditCredentials = function () {
+  const credentials = this.smartcreditCredentials;
+  const isLegacy = !!credentials?.password;
+
+  if (!this.hasSmartcreditCredentials()) {
+    return false;
+  }
+
+  if (!isLegacy && !credentialsCrypto.needsRotation(credentials.encryptedPassword)) {
+    return false;
+  }
+
+  const { password } = this.getSmartcreditCredentials();
+  credentials.encryptedPassword = credentialsCrypto.encrypt(password);
+  credentials.password = undefined;
+  return true;
+};
+
 // Method to get user without sensitive data
 userSchema.methods.toJSON = function () {
   const obj = this.toObject();
   delete obj.password;
   delete obj.smartcreditCredentials.password; // Remove SmartCredit password from responses
+  delete obj.smartcreditCredentials.encryptedPassword;
   delete obj.__v;
   return obj;
 };
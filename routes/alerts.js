@@ -0,0 +1,119 @@
+/**
+ * Alert Routes
+ * Feed in-app de alertas de cambios entre reportes
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const Alert = require('../models/Alert');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * GET /api/alerts
+ * In-app alert feed (newest first) - Requires authentication
+ * Query: ?unread=true&type=score_drop&page=1&limit=20
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const filter = { userId: req.user.id };
+
+    if (req.query.unread === 'true') filter.readAt = null;
+    if (req.query.type) filter.type = req.query.type;
+
+    const [alerts, total, unread] = await Promise.all([
+      Alert.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Alert.countDocuments(filter),
+      Alert.countDocuments({ userId: req.user.id, readAt: null }),
+    ]);
+
+    res.json({
+      success: true,
+      unread,
+      alerts: alerts.map(alert => alert.getSummary()),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error('Error listing alerts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Error listing alerts'
+    });
+  }
+});
+
+/**
+ * POST /api/alerts/read-all
+ * Mark every alert as read - Requires authentication
+ */
+router.post('/read-all', authenticateToken, async (req, res) => {
+  try {
+    const result = await Alert.updateMany(
+      { userId: req.user.id, readAt: null },
+      { readAt: new Date() }
+    );
+
+    res.json({
+      success: true,
+      updated: result.modifiedCount,
+    });
+  } catch (error) {
+    console.error('Error marking alerts as read:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Error updating alerts'
+    });
+  }
+});
+
+/**
+ * POST /api/alerts/:id/read
+ * Mark a single alert as read - Requires authentication
+ */
+router.post('/:id/read', authenticateToken, async (req, res) => {
+  try {
+    const alert = mongoose.isValidObjectId(req.params.id)
+      ? await Alert.findOne({ _id: req.params.id, userId: req.user.id })
+      : null;
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alert not found',
+        message: 'Alert not found'
+      });
+    }
+
+    if (!alert.readAt) {
+      alert.readAt = new Date();
+      await alert.save();
+    }
+
+    res.json({
+      success: true,
+      alert: alert.getSummary(),
+    });
+  } catch (error) {
+    console.error('Error marking alert as read:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Error updating alert'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,440 @@
+/**
+ * Dispute Routes
+ * Rutas para registrar y seguir disputas ante los burós (rondas, plazos y resultados)
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const Dispute = require('../models/Dispute');
+const CreditReport = require('../models/CreditReport');
+const bureaus = require('../config/bureaus');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * Find a dispute owned by the authenticated user
+ * Returns null if the id is invalid or the dispute belongs to another user
+ */
+async function findOwnedDispute(disputeId, userId) {
+  if (!mongoose.isValidObjectId(disputeId)) {
+    return null;
+  }
+
+  return Dispute.findOne({ _id: disputeId, userId });
+}
+
+/**
+ * Copy the disputed account/inquiry from the report
+ * Returns null if there is no item at that index
+ */
+function buildDisputeItem(reportData, bureau, type, index) {
+  if (type === 'account') {
+    const account = reportData?.account_history?.[index];
+
+    return account
+      ? {
+          type,
+          index,
+          accountName: account.account_name ?? null,
+          accountNumber: account[bureau]?.account_number ?? null,
+        }
+      : null;
+  }
+
+  if (type === 'inquiry') {
+    const inquiry = reportData?.inquiries?.details?.[index];
+
+    return inquiry
+      ? {
+          type,
+          index,
+          creditorName: inquiry.creditor_name ?? null,
+          inquiryDate: inquiry.inquiry_date ?? null,
+        }
+      : null;
+  }
+
+  return null;
+}
+
+/**
+ * Parse itemIndex from the body (number or numeric string)
+ * Returns null for anything that is not a non-negative integer (null and "" would become 0)
+ */
+function parseItemIndex(value) {
+  if (!['number', 'string'].includes(typeof value) || (typeof value === 'string' && value.trim() === '')) {
+    return null;
+  }
+
+  const index = Number(value);
+
+  return Number.isInteger(index) && index >= 0 ? index : null;
+}
+
+function notFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: 'Dispute not found',
+    message: 'Dispute not found'
+  });
+}
+
+/**
+ * GET /api/disputes
+ * List the user's disputes - Requires authentication
+ * Optional filters: ?status=sent&bureau=experian&reportId=...
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { status, bureau, reportId } = req.query;
+    const filter = { userId: req.user.id };
+
+    if (status) filter.status = status;
+    if (bureau) filter.bureau = bureau;
+    if (reportId && mongoose.isValidObjectId(reportId)) filter.reportId = reportId;
+
+    const disputes = await Dispute.find(filter).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: disputes.length,
+      disputes: disputes.map(dispute => dispute.getSummary()),
+    });
+  } catch (error) {
+    console.error('Error listing disputes:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Error listing disputes'
+    });
+  }
+});
+
+/**
+ * GET /api/disputes/overdue
+ * Disputes whose bureau response deadline has passed - Requires authentication
+ */
+router.get('/overdue', authenticateToken, async (req, res) => {
+  try {
+    const disputes = await Dispute.findOverdue({ userId: req.user.id });
+
+    res.json({
+      success: true,
+      count: disputes.length,
+      disputes: disputes.map(dispute => dispute.getSummary()),
+    });
+  } catch (error) {
+    console.error('Error listing overdue disputes:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Error listing overdue disputes'
+    });
+  }
+});
+
+/**
+ * POST /api/disputes
+ * Create a draft dispute for an account or inquiry of a report - Requires authentication
+ * Body: { reportId, bureau, itemType: 'account' | 'inquiry', itemIndex, reason?, notes?, responseDays? }
+ */
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { reportId, bureau, itemType, itemIndex, reason, notes, responseDays } = req.body || {};
+
+    if (!reportId || !bureau || !itemType || itemIndex === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields',
+        message: 'reportId, bureau, itemType and itemIndex are required'
+      });
+    }
+
+    const index = parseItemIndex(itemIndex);
+
+    if (index === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid item index',
+        message: 'itemIndex must be a non-negative integer'
+      });
+    }
+
+    if (typeof bureau !== 'string' || !Object.hasOwn(bureaus, bureau)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid bureau',
+        message: `bureau must be one of: ${Object.keys(bureaus).join(', ')}`
+      });
+    }
+
+    const report = mongoose.isValidObjectId(reportId)
+      ? await CreditReport.findOne({ _id: reportId, userId: req.user.id, scrapingStatus: 'completed' })
+      : null;
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report not found',
+        message: 'Credit report not found'
+      });
+    }
+
+    const item = buildDisputeItem(report.reportData, bureau, itemType, index);
+
+    if (!item) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid item',
+        message: `No ${itemType} found at index ${itemIndex} (itemType must be "account" or "inquiry")`
+      });
+    }
+
+    const dispute = await Dispute.create({
+      userId: req.user.id,
+      reportId: report._id,
+      bureau,
+      item,
+      reason,
+      notes,
+      responseDays,
+    });
+
+    res.status(201).json({
+      success: true,
+      dispute: dispute.getSummary(),
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    console.error('Error creating dispute:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Error creating dispute'
+    });
+  }
+});
+
+/**
+ * GET /api/disputes/:id
+ * Get a single dispute - Requires authentication
+ */
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const dispute = await findOwnedDispute(req.params.id, req.user.id);
+
+    if (!dispute) {
+      return notFound(res);
+    }
+
+    res.json({
+      success: true,
+      dispute: dispute.getSummary(),
+    });
+  } catch (error) {
+    console.error('Error getting dispute:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Error getting dispute'
+    });
+  }
+});
+
+/**
+ * GET /api/disputes/:id/history
+ * Status transitions of a dispute across all rounds - Requires authentication
+ */
+router.get('/:id/history', authenticateToken, async (req, res) => {
+  try {
+    const dispute = await findOwnedDispute(req.params.id, req.user.id);
+
+    if (!dispute) {
+      return notFound(res);
+    }
+
+    res.json({
+      success: true,
+      disputeId: dispute._id,
+      round: dispute.round,
+      history: dispute.statusHistory,
+    });
+  } catch (error) {
+    console.error('Error getting dispute history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Error getting dispute history'
+    });
+  }
+});
+
+/**
+ * PATCH /api/disputes/:id
+ * Update editable fields (reason, notes, responseDays) - Requires authentication
+ */
+router.patch('/:id', authenticateToken, async (req, res) => {
+  try {
+    const dispute = await findOwnedDispute(req.params.id, req.user.id);
+
+    if (!dispute) {
+      return notFound(res);
+    }
+
+    const { reason, notes, responseDays } = req.body || {};
+
+    if (reason !== undefined) dispute.reason = reason;
+    if (notes !== undefined) dispute.notes = notes;
+    if (responseDays !== undefined) dispute.responseDays = responseDays;
+
+    await dispute.save();
+
+    res.json({
+      success: true,
+      dispute: dispute.getSummary(),
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    console.error('Error updating dispute:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Error updating dispute'
+    });
+  }
+});
+
+/**
+ * POST /api/disputes/:id/status
+ * Move the dispute to a new status - Requires authentication
+ * Body: { status, note?, sentAt? } (sentAt only applies when status is "sent")
+ */
+router.post('/:id/status', authenticateToken, async (req, res) => {
+  try {
+    const dispute = await findOwnedDispute(req.params.id, req.user.id);
+
+    if (!dispute) {
+      return notFound(res);
+    }
+
+    const { status, note, sentAt } = req.body || {};
+
+    if (sentAt !== undefined && sentAt !== null && isNaN(new Date(sentAt))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date',
+        message: 'sentAt must be a valid date (YYYY-MM-DD)'
+      });
+    }
+
+    try {
+      dispute.transitionTo(status, { note, sentAt });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid status transition',
+        message: error.message
+      });
+    }
+
+    await dispute.save();
+
+    res.json({
+      success: true,
+      dispute: dispute.getSummary(),
+    });
+  } catch (error) {
+    console.error('Error updating dispute status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Error updating dispute status'
+    });
+  }
+});
+
+/**
+ * POST /api/disputes/:id/rounds
+ * Start the next round after the bureau verified or updated the item - Requires authentication
+ * Body: { reason?, note? }
+ */
+router.post('/:id/rounds', authenticateToken, async (req, res) => {
+  try {
+    const dispute = await findOwnedDispute(req.params.id, req.user.id);
+
+    if (!dispute) {
+      return notFound(res);
+    }
+
+    const { reason, note } = req.body || {};
+
+    try {
+      dispute.startNextRound({ reason, note });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot start new round',
+        message: error.message
+      });
+    }
+
+    await dispute.save();
+
+    res.json({
+      success: true,
+      dispute: dispute.getSummary(),
+    });
+  } catch (error) {
+    console.error('Error starting dispute round:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Error starting dispute round'
+    });
+  }
+});
+
+/**
+ * DELETE /api/disputes/:id
+ * Delete a dispute - Requires authentication
+ */
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const dispute = await findOwnedDispute(req.params.id, req.user.id);
+
+    if (!dispute) {
+      return notFound(res);
+    }
+
+    await dispute.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Dispute deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting dispute:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Error deleting dispute'
+    });
+  }
+});
+
+module.exports = router;
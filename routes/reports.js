@@ -0,0 +1,509 @@
+/**
+ * Credit Report Routes
+ * Rutas para consultar y analizar los reportes guardados del usuario
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const CreditReport = require('../models/CreditReport');
+const discrepancyAnalyzer = require('../services/discrepancy-analyzer');
+const negativeItemClassifier = require('../services/negative-item-classifier');
+const letterService = require('../services/letter-service');
+const reportDiff = require('../services/report-diff');
+const User = require('../models/User');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Reports still owned by a running sync job
+const RUNNING_STATUSES = ['pending', 'in_progress'];
+
+/**
+ * Find a report owned by the authenticated user
+ * Returns null if the id is invalid or the report belongs to another user
+ */
+async function findOwnedReport(reportId, userId) {
+  if (!mongoose.isValidObjectId(reportId)) {
+    return null;
+  }
+
+  return CreditReport.findOne({ _id: reportId, userId });
+}
+
+/**
+ * 409 response for reports whose sync did not complete (failed, cancelled or still running)
+ * Those reports have no reportData to analyze
+ */
+function notCompleted(res, report) {
+  return res.status(409).json({
+    success: false,
+    error: 'Report not completed',
+    message: `Credit report is ${report.scrapingStatus}`
+  });
+}
+
+/**
+ * 409 response for diffs involving a partial report (sync limited to some sections or accounts)
+ * Everything that was not requested would show up as removed
+ */
+function partialReport(res, report) {
+  return res.status(409).json({
+    success: false,
+    error: 'Partial report',
+    message: `Credit report only contains: ${(report.metadata?.scrapedSections || []).join(', ') || 'no sections'}`
+  });
+}
+
+/**
+ * Full report payload (summary fields + metadata + reportData)
+ */
+function serializeReport(report) {
+  return {
+    ...report.getSummary(),
+    errorMessage: report.errorMessage,
+    metadata: report.metadata,
+    reportData: report.reportData,
+  };
+}
+
+/**
+ * GET /api/reports
+ * List stored reports (summaries, newest first) - Requires authentication
+ * Query: ?page=1&limit=20 (limit max 100)
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const filter = { userId: req.user.id };
+
+    const [reports, total] = await Promise.all([
+      CreditReport.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      CreditReport.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      reports: reports.map(report => report.getSummary()),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error('Error listing reports:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Error listing credit reports'
+    });
+  }
+});
+
+/**
+ * GET /api/reports/latest
+ * Most recent completed report - Requires authentication
+ */
+router.get('/latest', authenticateToken, async (req, res) => {
+  try {
+    const report = await CreditReport.findOne({
+      userId: req.user.id,
+      scrapingStatus: 'completed',
+      'metadata.partial': { $ne: true },
+    }).sort({ createdAt: -1 });
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report not found',
+        message: 'No credit reports yet. Run a sync first.'
+      });
+    }
+
+    res.json({
+      success: true,
+      report: serializeReport(report),
+    });
+  } catch (error) {
+    console.error('Error getting latest report:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Error getting credit report'
+    });
+  }
+});
+
+/**
+ * GET /api/reports/:id
+ * Full stored report - Requires authentication
+ */
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const report = await findOwnedReport(req.params.id, req.user.id);
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report not found',
+        message: 'Credit report not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      report: serializeReport(report),
+    });
+  } catch (error) {
+    console.error('Error getting report:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Error getting credit report'
+    });
+  }
+});
+
+/**
+ * DELETE /api/reports/:id
+ * Delete a stored report - Requires authentication
+ * 409 while its sync is still running (cancel it first with DELETE /api/sync/:jobId)
+ */
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const report = await findOwnedReport(req.params.id, req.user.id);
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report not found',
+        message: 'Credit report not found'
+      });
+    }
+
+    // Only finished reports: the running sync still writes to its report
+    const result = await CreditReport.deleteOne({
+      _id: report._id,
+      userId: req.user.id,
+      scrapingStatus: { $nin: RUNNING_STATUSES },
+    });
+
+    if (result.deletedCount === 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Report in progress',
+        message: 'This report belongs to a sync that is still running. Cancel the sync first.'
+      });
+    }
+
+    // Keep user's lastReportId pointing to an existing report
+    const user = await User.findById(req.user.id).select('lastReportId');
+
+    if (user && String(user.lastReportId) === String(report._id)) {
+      const previous = await CreditReport.findOne({ userId: req.user.id, scrapingStatus: 'completed' })
+        .sort({ createdAt: -1 })
+        .select('_id');
+
+      await User.findByIdAndUpdate(req.user.id, {
+        lastReportId: previous ? previous._id : null,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Credit report deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting report:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Error deleting credit report'
+    });
+  }
+});
+
+/**
+ * Build the diff response (always from the older report to the newer one)
+ */
+function buildDiffResponse(reportA, reportB) {
+  const [from, to] = reportA.createdAt <= reportB.createdAt ? [reportA, reportB] : [reportB, reportA];
+
+  return {
+    success: true,
+    from: { reportId: from._id, scrapedAt: from.createdAt },
+    to: { reportId: to._id, scrapedAt: to.createdAt },
+    diff: reportDiff.compare(from.reportData, to.reportData),
+  };
+}
+
+/**
+ * GET /api/reports/:id/diff/previous
+ * Changes since the previous completed report - Requires authentication
+ */
+router.get('/:id/diff/previous', authenticateToken, async (req, res) => {
+  try {
+    const report = await findOwnedReport(req.params.id, req.user.id);
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report not found',
+        message: 'Credit report not found'
+      });
+    }
+
+    if (report.scrapingStatus !== 'completed') {
+      return notCompleted(res, report);
+    }
+
+    if (report.metadata?.partial) {
+      return partialReport(res, report);
+    }
+
+    const previous = await CreditReport.findOne({
+      userId: req.user.id,
+      scrapingStatus: 'completed',
+      'metadata.partial': { $ne: true },
+      createdAt: { $lt: report.createdAt },
+    }).sort({ createdAt: -1 });
+
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report not found',
+        message: 'There is no previous report to compare with'
+      });
+    }
+
+    res.json(buildDiffResponse(previous, report));
+  } catch (error) {
+    console.error('Error comparing reports:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Error comparing credit reports'
+    });
+  }
+});
+
+/**
+ * GET /api/reports/:id/diff/:otherId
+ * Changes between two stored reports (older -> newer) - Requires authentication
+ */
+router.get('/:id/diff/:otherId', authenticateToken, async (req, res) => {
+  try {
+    const [report, other] = await Promise.all([
+      findOwnedReport(req.params.id, req.user.id),
+      findOwnedReport(req.params.otherId, req.user.id),
+    ]);
+
+    if (!report || !other) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report not found',
+        message: 'Credit report not found'
+      });
+    }
+
+    const incomplete = [report, other].find(candidate => candidate.scrapingStatus !== 'completed');
+
+    if (incomplete) {
+      return notCompleted(res, incomplete);
+    }
+
+    const partial = [report, other].find(candidate => candidate.metadata?.partial);
+
+    if (partial) {
+      return partialReport(res, partial);
+    }
+
+    res.json(buildDiffResponse(report, other));
+  } catch (error) {
+    console.error('Error comparing reports:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Error comparing credit reports'
+    });
+  }
+});
+
+/**
+ * GET /api/reports/:id/discrepancies
+ * Cross-bureau discrepancies per account - Requires authentication
+ */
+router.get('/:id/discrepancies', authenticateToken, async (req, res) => {
+  try {
+    const report = await findOwnedReport(req.params.id, req.user.id);
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report not found',
+        message: 'Credit report not found'
+      });
+    }
+
+    if (report.scrapingStatus !== 'completed') {
+      return notCompleted(res, report);
+    }
+
+    // Always computed from account_history so older reports are covered too
+    const discrepancies = discrepancyAnalyzer.analyzeAccounts(report.reportData?.account_history);
+
+    res.json({
+      success: true,
+      reportId: report._id,
+      scrapedAt: report.createdAt,
+      discrepancies,
+    });
+  } catch (error) {
+    console.error('Error getting report discrepancies:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Error analyzing credit report'
+    });
+  }
+});
+
+/**
+ * GET /api/reports/:id/negative-items
+ * Normalized negative items (late payments, collections, inquiries...) - Requires authentication
+ * Optional filters: ?bureau=experian&type=late_payment&severity=high
+ */
+router.get('/:id/negative-items', authenticateToken, async (req, res) => {
+  try {
+    const report = await findOwnedReport(req.params.id, req.user.id);
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report not found',
+        message: 'Credit report not found'
+      });
+    }
+
+    if (report.scrapingStatus !== 'completed') {
+      return notCompleted(res, report);
+    }
+
+    const { bureau, type, severity } = req.query;
+    const classification = negativeItemClassifier.classify(report.reportData);
+
+    const items = classification.items.filter(item =>
+      (!bureau || item.bureau === bureau) &&
+      (!type || item.type === type) &&
+      (!severity || item.severity === severity)
+    );
+
+    res.json({
+      success: true,
+      reportId: report._id,
+      scrapedAt: report.createdAt,
+      negativeItems: negativeItemClassifier.summarize(items),
+    });
+  } catch (error) {
+    console.error('Error getting report negative items:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Error analyzing credit report'
+    });
+  }
+});
+
+/**
+ * POST /api/reports/:id/letters
+ * Generate a dispute letter for selected accounts/inquiries - Requires authentication
+ * Body: { bureau, template?, accounts?: [{ index, reason? }], inquiries?: [{ index, reason? }], reason?, format?: 'text' | 'pdf' }
+ */
+router.post('/:id/letters', authenticateToken, async (req, res) => {
+  try {
+    const { bureau, template, accounts, inquiries, reason, format = 'text' } = req.body || {};
+
+    if (!bureau) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields',
+        message: 'bureau is required (transunion, experian or equifax)'
+      });
+    }
+
+    if (!['text', 'pdf'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid format',
+        message: 'format must be "text" or "pdf"'
+      });
+    }
+
+    if ((accounts && !Array.isArray(accounts)) || (inquiries && !Array.isArray(inquiries))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid selection',
+        message: 'accounts and inquiries must be arrays of { index, reason }'
+      });
+    }
+
+    const report = await findOwnedReport(req.params.id, req.user.id);
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report not found',
+        message: 'Credit report not found'
+      });
+    }
+
+    if (report.scrapingStatus !== 'completed') {
+      return notCompleted(res, report);
+    }
+
+    let letter;
+
+    try {
+      letter = letterService.generate(report.reportData, { bureau, template, accounts, inquiries, reason });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid letter request',
+        message: error.message,
+        availableTemplates: letterService.listTemplates()
+      });
+    }
+
+    if (format === 'pdf') {
+      const pdf = await letterService.renderPdf(letter.text);
+      res.set('Content-Type', 'application/pdf');
+      res.set('Content-Disposition', `attachment; filename="dispute-${bureau}-${report._id}.pdf"`);
+      return res.send(pdf);
+    }
+
+    res.json({
+      success: true,
+      reportId: report._id,
+      letter: {
+        bureau: letter.bureau,
+        template: letter.template,
+        items: letter.data.items,
+        text: letter.text,
+      },
+    });
+  } catch (error) {
+    console.error('Error generating dispute letter:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Error generating dispute letter'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,159 @@
+/**
+ * Schedule Routes
+ * Rutas para ver y editar la programación de syncs automáticos del usuario
+ */
+
+const express = require('express');
+const SyncSchedule = require('../models/SyncSchedule');
+const User = require('../models/User');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Campos editables desde la API
+const EDITABLE_FIELDS = ['enabled', 'frequency', 'dayOfWeek', 'dayOfMonth', 'hour', 'jitterMinutes'];
+
+/**
+ * GET /api/schedule
+ * Current sync schedule (null if none) - Requires authentication
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const schedule = await SyncSchedule.findOne({ userId: req.user.id });
+
+    res.json({
+      success: true,
+      schedule: schedule ? schedule.getSummary() : null,
+      frequencies: SyncSchedule.FREQUENCIES,
+    });
+  } catch (error) {
+    console.error('Error getting sync schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Error getting sync schedule'
+    });
+  }
+});
+
+/**
+ * PUT /api/schedule
+ * Create or update the sync schedule - Requires authentication
+ * Body: { enabled?, frequency: 'daily' | 'weekly' | 'monthly', dayOfWeek?, dayOfMonth?, hour?, jitterMinutes? }
+ */
+router.put('/', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+        message: 'User not found in database'
+      });
+    }
+
+    if (!user.hasSmartcreditCredentials()) {
+      return res.status(400).json({
+        success: false,
+        error: 'SmartCredit credentials not configured',
+        message: 'Please configure your SmartCredit credentials first'
+      });
+    }
+
+    const schedule = await SyncSchedule.findOne({ userId: user._id }) || new SyncSchedule({ userId: user._id });
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body?.[field] !== undefined) {
+        schedule[field] = req.body[field];
+      }
+    });
+
+    // Validar antes de calcular el próximo run con los valores nuevos
+    await schedule.validate();
+    schedule.nextRunAt = schedule.enabled ? schedule.computeNextRun() : null;
+    await schedule.save();
+
+    res.json({
+      success: true,
+      schedule: schedule.getSummary(),
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    console.error('Error updating sync schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Error updating sync schedule'
+    });
+  }
+});
+
+/**
+ * DELETE /api/schedule
+ * Remove the sync schedule - Requires authentication
+ */
+router.delete('/', authenticateToken, async (req, res) => {
+  try {
+    const result = await SyncSchedule.deleteOne({ userId: req.user.id });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Schedule not found',
+        message: 'No sync schedule configured'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Sync schedule deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting sync schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Error deleting sync schedule'
+    });
+  }
+});
+
+/**
+ * GET /api/schedule/runs
+ * Outcome of the latest scheduled runs (newest first) - Requires authentication
+ */
+router.get('/runs', authenticateToken, async (req, res) => {
+  try {
+    const schedule = await SyncSchedule.findOne({ userId: req.user.id });
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Schedule not found',
+        message: 'No sync schedule configured'
+      });
+    }
+
+    res.json({
+      success: true,
+      runs: schedule.runs.slice().reverse(),
+    });
+  } catch (error) {
+    console.error('Error getting scheduled runs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Error getting scheduled runs'
+    });
+  }
+});
+
+module.exports = router;
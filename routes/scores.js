@@ -0,0 +1,84 @@
+/**
+ * Score Routes
+ * Rutas para consultar la evolución de los scores a lo largo de los syncs
+ */
+
+const express = require('express');
+const CreditReport = require('../models/CreditReport');
+const scoreHistory = require('../services/score-history');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * GET /api/scores/history
+ * Per-bureau score time series with min/max/average - Requires authentication
+ * Query: ?from=2025-01-01&to=2025-12-31&bucket=month
+ */
+router.get('/history', authenticateToken, async (req, res) => {
+  try {
+    const { from, to, bucket } = req.query;
+    const filter = {
+      userId: req.user.id,
+      scrapingStatus: 'completed',
+      // Partial syncs only count if they requested the scores
+      $or: [{ 'metadata.partial': { $ne: true } }, { 'metadata.scrapedSections': 'scores' }],
+    };
+
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date range',
+        message: 'from and to must be valid dates (YYYY-MM-DD)'
+      });
+    }
+
+    if (!scoreHistory.isValidBucket(bucket)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid bucket',
+        message: `bucket must be one of: ${scoreHistory.getBuckets().join(', ')}`
+      });
+    }
+
+    // A date-only "to" includes the whole day
+    if (toDate && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+      toDate.setUTCHours(23, 59, 59, 999);
+    }
+
+    if (fromDate || toDate) {
+      filter.createdAt = {};
+      if (fromDate) filter.createdAt.$gte = fromDate;
+      if (toDate) filter.createdAt.$lte = toDate;
+    }
+
+    const reports = await CreditReport.find(filter)
+      .sort({ createdAt: 1 })
+      .select('createdAt reportData.credit_scores_3b reportData.dashboard_summary');
+
+    const history = scoreHistory.build(reports, { bucket });
+
+    res.json({
+      success: true,
+      range: {
+        from: fromDate || reports[0]?.createdAt || null,
+        to: toDate || reports[reports.length - 1]?.createdAt || null,
+      },
+      bucket: bucket || null,
+      reportCount: reports.length,
+      history,
+    });
+  } catch (error) {
+    console.error('Error getting score history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Error getting score history'
+    });
+  }
+});
+
+module.exports = router;
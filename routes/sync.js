@@ -0,0 +1,238 @@
+/**
+ * Sync Routes
+ * Rutas para encolar y consultar jobs de scraping de SmartCredit
+ */
+
+const express = require('express');
+const syncService = require('../services/sync-service');
+const artifactService = require('../services/artifact-service');
+const syncProgress = require('../services/sync-progress');
+const User = require('../models/User');
+const { authenticateToken, allowQueryToken, loadUserRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Comentario keep-alive para que proxies no cierren el stream SSE
+const SSE_HEARTBEAT_INTERVAL = 15000;
+
+/**
+ * Escribe un evento SSE
+ *
+ * @param {object} res - Response de Express
+ * @param {object} event - Evento de progreso (ver sync-progress)
+ */
+function writeEvent(res, event) {
+  res.write(`event: ${event.type}\n`);
+  res.write(`data: ${JSON.stringify(event)}\n\n`);
+}
+
+/**
+ * POST /api/sync
+ * Enqueue a new sync job - Requires authentication
+ * Returns the in-flight job if the user already has one; 429 + Retry-After when over quota
+ * Optional body: { sections, accountHistory: { limit, offset }, includeDashboard, captureArtifacts }
+ */
+router.post('/', authenticateToken, async (req, res, next) => {
+  try {
+    // 400 INVALID_SYNC_OPTIONS antes de tocar el lock o la cuota
+    const options = syncService.parseOptions(req.body ?? {});
+
+    // Get user from MongoDB with SmartCredit credentials
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+        message: 'User not found in database'
+      });
+    }
+
+    if (!user.hasSmartcreditCredentials()) {
+      return res.status(400).json({
+        success: false,
+        error: 'SmartCredit credentials not configured',
+        message: 'Please configure your SmartCredit credentials first'
+      });
+    }
+
+    // Si ya hay un sync en ejecución se devuelve ese job (no se lanza otro navegador)
+    const { job, created } = await syncService.enqueue(user._id, options);
+
+    res.status(created ? 202 : 200).json({
+      success: true,
+      jobId: job._id,
+      alreadyRunning: !created,
+      job: job.getStatus(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/sync/:jobId
+ * Poll sync job state - Requires authentication
+ */
+router.get('/:jobId', authenticateToken, async (req, res, next) => {
+  try {
+    const job = await syncService.getJob(req.params.jobId, req.user);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+        message: 'Sync job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      job: job.getStatus(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/sync/:jobId
+ * Cancel a pending or running sync job - Requires authentication
+ * Waits until the job stops; 409 if it already finished or is saving its report
+ */
+router.delete('/:jobId', authenticateToken, async (req, res, next) => {
+  try {
+    const job = await syncService.cancel(req.params.jobId, req.user);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+        message: 'Sync job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      job: job.getStatus(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/sync/:jobId/events
+ * Stream sync progress as Server-Sent Events - Requires authentication
+ * EventSource cannot send headers, so the token may also be passed as ?token=
+ */
+router.get('/:jobId/events', allowQueryToken, authenticateToken, async (req, res, next) => {
+  try {
+    const job = await syncService.getJob(req.params.jobId, req.user);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+        message: 'Sync job not found'
+      });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no', // Sin buffering en nginx
+    });
+    res.flushHeaders();
+
+    // Estado actual: último evento en memoria o, si no hay, el guardado en MongoDB
+    const current = syncProgress.getLastEvent(job._id) || syncProgress.snapshot(job);
+    writeEvent(res, current);
+
+    if (syncProgress.isTerminal(current)) {
+      return res.end();
+    }
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_INTERVAL);
+    const untrack = syncProgress.trackStream(res);
+
+    const unsubscribe = syncProgress.subscribe(job._id, (event) => {
+      writeEvent(res, event);
+
+      if (syncProgress.isTerminal(event)) {
+        res.end();
+      }
+    });
+
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      untrack();
+    });
+
+    // El job pudo terminar mientras se leía de MongoDB (antes de suscribirse)
+    const latest = await syncService.getJob(job._id, req.user);
+
+    const latestEvent = latest ? syncProgress.snapshot(latest) : null;
+
+    if (!res.writableEnded && latestEvent && syncProgress.isTerminal(latestEvent)) {
+      writeEvent(res, latestEvent);
+      res.end();
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/sync/:jobId/artifacts
+ * List failure artifacts (HTML, screenshot, URL) - Owner or admin
+ */
+router.get('/:jobId/artifacts', authenticateToken, loadUserRole, async (req, res, next) => {
+  try {
+    const job = await syncService.getJob(req.params.jobId, req.user);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+        message: 'Sync job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      jobId: job._id,
+      captures: job.artifacts,
+      files: artifactService.list(job._id),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/sync/:jobId/artifacts/:fileName
+ * Download a single artifact file - Owner or admin
+ */
+router.get('/:jobId/artifacts/:fileName', authenticateToken, loadUserRole, async (req, res, next) => {
+  try {
+    const job = await syncService.getJob(req.params.jobId, req.user);
+    const filePath = job ? artifactService.resolveFile(job._id, req.params.fileName) : null;
+
+    if (!filePath) {
+      return res.status(404).json({
+        success: false,
+        error: 'Artifact not found',
+        message: 'Sync artifact not found'
+      });
+    }
+
+    res.download(filePath);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -5,13 +5,16 @@
  * Ejecutar: npm run scrape
  *
  * Modo: headless:false (muestra el navegador para debugging)
+ *
+ * Modo replay (offline): ejecuta la extracción sobre un snapshot HTML guardado
+ * Ejecutar: node scraper.js --snapshot output/page_3b_debug.html [--out reporte.json]
+ * Sin --out, el JSON del reporte se escribe en stdout y los logs en stderr.
  */
 
 require('dotenv').config();
 const puppeteer = require('puppeteer');
 const fs = require('fs');
 const path = require('path');
-const selectors = require('./config/selectors');
 const {
   extractNumber,
   parseScoreDate,
@@ -29,11 +32,7 @@ const {
 // FASE 2: Importar nuevos servicios de extracción
 const extractionService = require('./services/extraction-service');
 const reportBuilder = require('./services/report-builder');
-
-// Configuración
-const SMARTCREDIT_URL = 'https://www.smartcredit.com/?PID=56032';
-const LOGIN_URL = 'https://www.smartcredit.com/login/';
-const DASHBOARD_URL = 'https://www.smartcredit.com/member/';
+const SmartCreditSession = require('./services/smartcredit-session');
 
 async function scrapeCreditScore() {
   let browser = null;
@@ -54,34 +53,10 @@ async function scrapeCreditScore() {
     const page = await browser.newPage();
     console.log('✓ Navegador iniciado\n');
 
-    // PASO 2: Navegar a página de login
-    console.log('--- 2. Navegando a SmartCredit.com ---');
-    await page.goto(SMARTCREDIT_URL, { waitUntil: 'networkidle2', timeout: 30000 });
-    console.log('✓ Página cargada\n');
-
-    // PASO 3: Click en botón "Log In"
-    console.log('--- 3. Buscando botón de Login ---');
-    try {
-      await page.waitForSelector(selectors.LOGIN_BUTTON, { timeout: 10000 });
-      console.log('✓ Botón de login encontrado');
-
-      await page.click(selectors.LOGIN_BUTTON);
-      console.log('✓ Click en "Log In" realizado\n');
-
-      // Esperar navegación a página de login
-      await page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 15000 });
-    } catch (error) {
-      console.log('! Botón de login no encontrado, asumiendo que ya estamos en /login/');
-    }
-
-    // PASO 4: Esperar formulario de login
-    console.log('--- 4. Esperando formulario de login ---');
-    await page.waitForSelector(selectors.EMAIL_INPUT, { timeout: 10000 });
-    await page.waitForSelector(selectors.PASSWORD_INPUT, { timeout: 10000 });
-    console.log('✓ Formulario de login detectado\n');
+    const session = new SmartCreditSession(page);
 
-    // PASO 5: Ingresar credenciales
-    console.log('--- 5. Ingresando credenciales ---');
+    // PASO 2: Login en SmartCredit
+    console.log('--- 2. Login en SmartCredit ---');
     const email = process.env.SMARTCREDIT_EMAIL;
     const password = process.env.SMARTCREDIT_PASSWORD;
 
@@ -89,203 +64,20 @@ async function scrapeCreditScore() {
       throw new Error('SMARTCREDIT_EMAIL y SMARTCREDIT_PASSWORD deben estar definidos en .env');
     }
 
-    await page.type(selectors.EMAIL_INPUT, email, { delay: 50 });
-    console.log(`✓ Email ingresado: ${email.substring(0, 3)}***`);
-
-    await page.type(selectors.PASSWORD_INPUT, password, { delay: 50 });
-    console.log('✓ Password ingresado\n');
-
-    // PASO 6: Click en botón submit
-    console.log('--- 6. Enviando formulario ---');
-    await page.click(selectors.SUBMIT_BUTTON);
-    console.log('✓ Click en "Log In" enviado');
-
-    // Esperar navegación al dashboard
-    await page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 30000 });
-    console.log('✓ Navegación completada\n');
-
-    // PASO 7: Verificar que estamos en el dashboard
-    console.log('--- 7. Verificando dashboard ---');
-    const currentUrl = page.url();
-    console.log(`URL actual: ${currentUrl}`);
-
-    if (!currentUrl.includes('/member/')) {
-      throw new Error('Login falló - No se redirigió al dashboard de member');
-    }
+    await session.login({ email, password });
     console.log('✓ Login exitoso - Dashboard cargado\n');
 
-    // PASO 8: Navegar al 3B Report
-    console.log('--- 8. Navegando al 3B Report ---');
-
-    // 8.1: Click en dropdown "Reports"
-    console.log('Buscando dropdown "Reports"...');
-
-    // Estrategia multi-capa para encontrar el dropdown "Reports"
-    const reportsDropdownFound = await page.evaluate(() => {
-      // Estrategia 1: Buscar por texto exacto "Reports" en links con dropdown
-      let reportsLink = Array.from(document.querySelectorAll('a')).find(
-        el => el.textContent.trim() === 'Reports' &&
-        (el.classList.contains('dropdown-toggle') || el.hasAttribute('data-toggle'))
-      );
-
-      // Estrategia 2: Buscar cualquier link que contenga "Reports"
-      if (!reportsLink) {
-        reportsLink = Array.from(document.querySelectorAll('a')).find(
-          el => el.textContent.includes('Reports')
-        );
-      }
-
-      // Estrategia 3: Buscar en elementos nav o menu
-      if (!reportsLink) {
-        const navElements = document.querySelectorAll('nav a, .nav a, .navbar a, [role="navigation"] a');
-        reportsLink = Array.from(navElements).find(
-          el => el.textContent.includes('Reports')
-        );
-      }
-
-      if (reportsLink) {
-        console.log('Dropdown "Reports" encontrado:', reportsLink.outerHTML.substring(0, 100));
-        reportsLink.click();
-        return true;
-      }
-
-      return false;
-    });
-
-    if (!reportsDropdownFound) {
-      throw new Error('No se encontró el dropdown "Reports". Verifique que la página del dashboard haya cargado correctamente.');
-    }
-
-    console.log('✓ Click en dropdown "Reports"');
-    await new Promise((r) => setTimeout(r, 2000)); // Más tiempo para que se despliegue el menú
-
-    // 8.2: Click en "3B Report & Scores"
-    console.log('Buscando link "3B Report & Scores"...');
-
-    // Buscar el link con múltiples estrategias
-    const report3BLinkFound = await page.evaluate(() => {
-      // Estrategia 1: Buscar por href que contenga "smart-3b"
-      let link = Array.from(document.querySelectorAll('a')).find(a => a.href.includes('smart-3b'));
-
-      // Estrategia 2: Buscar por href que contenga "3b" y "credit-report"
-      if (!link) {
-        link = Array.from(document.querySelectorAll('a')).find(
-          a => a.href.includes('3b') && a.href.includes('credit-report')
-        );
-      }
-
-      // Estrategia 3: Buscar por texto que contenga "3B Report" o "3-Bureau"
-      if (!link) {
-        link = Array.from(document.querySelectorAll('a')).find(
-          a => a.textContent.includes('3B Report') ||
-               a.textContent.includes('3-Bureau') ||
-               a.textContent.includes('3B Credit')
-        );
-      }
-
-      // Estrategia 4: Buscar en dropdowns desplegados (elementos visibles)
-      if (!link) {
-        const visibleLinks = Array.from(document.querySelectorAll('a')).filter(
-          a => a.offsetParent !== null
-        );
-        link = visibleLinks.find(
-          a => a.textContent.toLowerCase().includes('3b') ||
-               a.textContent.toLowerCase().includes('bureau')
-        );
-      }
-
-      if (link) {
-        console.log('Link 3B Report encontrado:', link.href, '|', link.textContent.trim());
-        link.click();
-        return true;
-      }
-
-      // Debug: Mostrar todos los links visibles del dropdown
-      const dropdownLinks = Array.from(document.querySelectorAll('a')).filter(
-        a => a.offsetParent !== null && a.getBoundingClientRect().height > 0
-      );
-      console.log('Links visibles en dropdown:', dropdownLinks.map(a => ({
-        text: a.textContent.trim(),
-        href: a.href
-      })));
-
-      return false;
-    });
-
-    if (!report3BLinkFound) {
-      throw new Error('No se encontró el link "3B Report & Scores". Verifique que el dropdown "Reports" se haya desplegado correctamente.');
-    }
-
-    console.log('✓ Click en "3B Report & Scores"');
-
-    // Esperar navegación
-    await page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 30000 });
-    console.log('✓ Navegación a 3B Report completada');
-
-    // 8.3: Esperar a que cargue completamente la página del 3B Report
-    console.log('Esperando a que cargue la página del 3B Report...');
-    await new Promise((r) => setTimeout(r, 3000));
-
-    // 8.4: Click en "Switch to Classic View"
-    console.log('Buscando botón "Switch to Classic View"...');
-
-    // Buscar el botón con múltiples estrategias
-    const classicViewButtonInfo = await page.evaluate(() => {
-      // Estrategia 1: Buscar cualquier botón que contenga "Classic"
-      let classicButton = Array.from(document.querySelectorAll('button')).find(
-        btn => btn.textContent.includes('Classic')
-      );
-
-      // Estrategia 2: Buscar por texto que contenga "Switch"
-      if (!classicButton) {
-        classicButton = Array.from(document.querySelectorAll('button')).find(
-          btn => btn.textContent.includes('Switch')
-        );
-      }
-
-      // Estrategia 3: Buscar en links (a veces los "botones" son links estilizados)
-      if (!classicButton) {
-        classicButton = Array.from(document.querySelectorAll('a')).find(
-          link => link.textContent.includes('Classic') || link.textContent.includes('Switch')
-        );
-      }
-
-      // Estrategia 4: Buscar por atributos que sugieran cambio de vista
-      if (!classicButton) {
-        classicButton = Array.from(document.querySelectorAll('button, a')).find(
-          el => el.textContent.toLowerCase().includes('view') &&
-                (el.textContent.toLowerCase().includes('classic') ||
-                 el.textContent.toLowerCase().includes('switch'))
-        );
-      }
-
-      if (classicButton) {
-        console.log('Botón Classic View encontrado:', classicButton.textContent.trim());
-        classicButton.click();
-        return { found: true, text: classicButton.textContent.trim() };
-      }
-
-      // Debug: Mostrar botones disponibles
-      const allButtons = Array.from(document.querySelectorAll('button')).map(btn => ({
-        text: btn.textContent.trim().substring(0, 50),
-        visible: btn.offsetParent !== null
-      })).filter(btn => btn.visible);
-      console.log('Botones visibles en la página:', allButtons);
-
-      return { found: false, text: null };
-    });
-
-    if (!classicViewButtonInfo.found) {
-      console.log('⚠ Botón "Switch to Classic View" no encontrado - asumiendo ya estamos en Classic View');
-    } else {
-      console.log(`✓ Click en botón: "${classicViewButtonInfo.text}"`);
-      await new Promise((r) => setTimeout(r, 5000)); // Esperar más tiempo a que cargue la vista clásica
-    }
+    // Scores del dashboard (ScoreTracker, ScoreBuilder, ScoreBoost, Future Score)
+    const dashboardScores = await extractionService.extractDashboard(page);
 
+    // PASO 3: Navegar al 3B Report
+    console.log('--- 3. Navegando al 3B Report ---');
+    await session.openThreeBureauReport();
+    await session.switchToClassicView();
     console.log('✓ Navegación al 3B Report completada\n');
 
-    // PASO 9: Esperar que cargue el reporte 3B
-    console.log('--- 9. Esperando datos del 3B Report ---');
+    // PASO 4: Esperar que cargue el reporte 3B
+    console.log('--- 4. Esperando datos del 3B Report ---');
 
     // Debug: Verificar URL actual
     const currentUrl3B = page.url();
@@ -305,26 +97,7 @@ async function scrapeCreditScore() {
 
     console.log('Debug info:', JSON.stringify(pageDebugInfo, null, 2));
 
-    // Intentar esperar por la sección de credit scores
-    try {
-      await page.waitForSelector(selectors.CREDIT_SCORE_3B_SECTION, { timeout: 5000 });
-      console.log('✓ Sección de credit scores 3B detectada\n');
-    } catch (error) {
-      console.log('⚠ No se encontró section.credit-score-3, buscando alternativas...');
-
-      // Intentar encontrar cualquier sección que tenga los scores
-      const hasScores = await page.evaluate(() => {
-        // Buscar elementos con texto "TransUnion", "Experian", "Equifax"
-        const text = document.body.textContent;
-        return text.includes('TransUnion') && text.includes('Experian') && text.includes('Equifax');
-      });
-
-      if (!hasScores) {
-        throw new Error('No se encontraron los credit scores en la página. Puede que necesite hacer click en "Switch to Classic View"');
-      }
-
-      console.log('✓ Se encontraron referencias a los 3 burós en la página');
-    }
+    await session.waitForReport();
 
     // CRÍTICO: Esperar a que se rendericen TODAS las cuentas del Account History
     // Las cuentas se cargan dinámicamente via JavaScript
@@ -363,8 +136,8 @@ async function scrapeCreditScore() {
     fs.writeFileSync(htmlPath, pageHTML, 'utf-8');
     console.log(`Debug: HTML guardado en ${htmlPath}`);
 
-    // PASO 10: Extraer datos del 3B Report usando extraction-service (FASE 2 + FASE 3 + FASE 4)
-    console.log('--- 10. Extrayendo datos del 3B Report (FASE 2 + FASE 3 + FASE 4) ---');
+    // PASO 5: Extraer datos del 3B Report usando extraction-service (FASE 2 + FASE 3 + FASE 4)
+    console.log('--- 5. Extrayendo datos del 3B Report (FASE 2 + FASE 3 + FASE 4) ---');
 
     // Usar el nuevo extraction service para extraer todas las secciones
     // FASE 3: Agregando Account History
@@ -372,21 +145,22 @@ async function scrapeCreditScore() {
     const raw3BData = await extractionService.extractAll3BReport(page, {
       sections: ['scores', 'personalInfo', 'summary', 'accountHistory', 'publicRecords', 'inquiries'],
     });
+    raw3BData.dashboardScores = dashboardScores;
 
     console.log('✓ Datos extraídos con extraction-service\n');
 
-    // PASO 11: Construir reporte final usando report-builder (FASE 2 + FASE 3)
-    console.log('--- 11. Construyendo reporte final (FASE 2 + FASE 3) ---');
+    // PASO 6: Construir reporte final usando report-builder (FASE 2 + FASE 3)
+    console.log('--- 6. Construyendo reporte final (FASE 2 + FASE 3) ---');
 
     // Usar el report builder para construir el JSON final
     const creditData = reportBuilder.buildFullReport(raw3BData, {
-      includeDashboard: false, // No incluir dashboard por ahora
+      includeDashboard: true,
     });
 
     console.log('✓ Reporte construido con report-builder\n');
 
-    // PASO 12: Guardar resultado en JSON
-    console.log('--- 12. Guardando resultado ---');
+    // PASO 7: Guardar resultado en JSON
+    console.log('--- 7. Guardando resultado ---');
     const outputFile = path.join(outputDir, 'credit_report_3b.json');
 
     // El directorio ya fue creado anteriormente
@@ -432,5 +206,73 @@ async function scrapeCreditScore() {
   }
 }
 
-// Ejecutar scraper
-scrapeCreditScore();
+/**
+ * Ejecuta la extracción + report builder sobre un snapshot HTML local
+ *
+ * @param {string} snapshotPath - Ruta al archivo .html del 3B Report
+ * @param {string|null} outputFile - Archivo donde guardar el JSON (null = stdout)
+ */
+async function replaySnapshot(snapshotPath, outputFile) {
+  let browser = null;
+  const log = console.log;
+
+  // Sin archivo de salida, stdout queda reservado para el JSON del reporte
+  if (!outputFile) {
+    console.log = console.error;
+  }
+
+  try {
+    console.log('==============================================');
+    console.log('  SmartCredit Scraper - Replay Mode (offline)');
+    console.log('==============================================\n');
+
+    browser = await puppeteer.launch({
+      headless: true,
+      args: ['--no-sandbox', '--disable-setuid-sandbox'],
+    });
+
+    const raw3BData = await extractionService.extractFromSnapshot(browser, snapshotPath, {
+      sections: ['scores', 'personalInfo', 'summary', 'accountHistory', 'publicRecords', 'inquiries'],
+    });
+
+    const creditData = reportBuilder.buildFullReport(raw3BData, {
+      includeDashboard: false,
+    });
+
+    const json = JSON.stringify(creditData, null, 2);
+
+    if (outputFile) {
+      fs.mkdirSync(path.dirname(path.resolve(outputFile)), { recursive: true });
+      fs.writeFileSync(outputFile, json, 'utf-8');
+      console.log(`✓ Reporte guardado en: ${outputFile}\n`);
+    } else {
+      process.stdout.write(`${json}\n`);
+    }
+  } catch (error) {
+    console.error('\n❌ ERROR durante el replay:');
+    console.error(error.message);
+    process.exitCode = 1;
+  } finally {
+    if (browser) {
+      await browser.close();
+    }
+    console.log = log;
+  }
+}
+
+/**
+ * Obtiene el valor de un argumento de CLI (--nombre valor)
+ */
+function getArgValue(name) {
+  const index = process.argv.indexOf(name);
+  return index !== -1 ? process.argv[index + 1] || null : null;
+}
+
+// Ejecutar scraper (o replay si se pasó --snapshot)
+const snapshotPath = getArgValue('--snapshot');
+
+if (snapshotPath) {
+  replaySnapshot(snapshotPath, getArgValue('--out'));
+} else {
+  scrapeCreditScore();
+}
@@ -0,0 +1,71 @@
+/**
+ * Re-encrypt SmartCredit credentials with the active encryption key
+ *
+ * Ejecutar después de agregar una nueva key a CREDENTIALS_ENCRYPTION_KEYS
+ * (y opcionalmente CREDENTIALS_ENCRYPTION_KEY_ID). Las keys anteriores deben
+ * seguir en la lista hasta que este comando termine sin errores.
+ *
+ * Ejecutar: npm run rotate-credentials
+ * Generar una key nueva: npm run rotate-credentials -- --generate-key
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const User = require('../models/User');
+const credentialsCrypto = require('../utils/credentials-crypto');
+
+async function rotateCredentials() {
+  if (process.argv.includes('--generate-key')) {
+    console.log(credentialsCrypto.generateKey());
+    return;
+  }
+
+  const activeKeyId = credentialsCrypto.getActiveKeyId();
+
+  console.log('==============================================');
+  console.log('  Rotación de credenciales SmartCredit');
+  console.log('==============================================');
+  console.log(`  Key activa: ${activeKeyId}\n`);
+
+  await connectDB();
+
+  let checked = 0;
+  let rotated = 0;
+  let failed = 0;
+
+  const cursor = User.find({}).cursor();
+
+  for (let user = await cursor.next(); user !== null; user = await cursor.next()) {
+    checked++;
+
+    try {
+      if (user.reencryptSmartcreditCredentials()) {
+        await user.save();
+        rotated++;
+        console.log(`  ✓ ${user.email}`);
+      }
+    } catch (error) {
+      failed++;
+      console.error(`  ❌ ${user.email}: ${error.message}`);
+    }
+  }
+
+  console.log('\n==============================================');
+  console.log(`  Usuarios revisados: ${checked}`);
+  console.log(`  Re-encriptados: ${rotated}`);
+  console.log(`  Errores: ${failed}`);
+  console.log('==============================================\n');
+
+  await mongoose.connection.close();
+
+  if (failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+rotateCredentials().catch((error) => {
+  console.error('\n❌ ERROR durante la rotación:');
+  console.error(error.message);
+  process.exit(1);
+});
@@ -2,7 +2,7 @@
  * SmartCredit Scraper - API Server Mode
  *
  * Servidor Express que expone endpoint REST para extraer datos de credit score.
- * Endpoint: GET /api/sync
+ * Endpoints: POST /api/sync (encola un job) y GET /api/sync/:jobId (estado)
  *
  * Modo: headless:true (sin GUI, ideal para producción/VPS)
  */
@@ -10,45 +10,29 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const puppeteer = require('puppeteer');
-const selectors = require('./config/selectors');
-const {
-  extractNumber,
-  parseScoreDate,
-  parseScoreProgress,
-  parseBoostPotential,
-  parseScoreBoost,
-  buildCreditScoreData,
-  cleanText,
-  parse3BScores,
-  parse3BPersonalInfo,
-  parse3BSummary,
-  buildFullCreditReport,
-} = require('./utils/parser');
 
 // MongoDB Connection
 const connectDB = require('./config/database');
 
-// Models
-const User = require('./models/User');
-const CreditReport = require('./models/CreditReport');
+// Servicio de sync asíncrono y scheduler de syncs automáticos
+const syncService = require('./services/sync-service');
+const schedulerService = require('./services/scheduler-service');
+const browserPool = require('./services/browser-pool');
+const syncProgress = require('./services/sync-progress');
 
-// Importar servicios de extracción (FASE 6)
-const extractionService = require('./services/extraction-service'); // Ya es una instancia
-const reportBuilder = require('./services/report-builder');
-
-// Importar rutas de autenticación
+// Importar rutas
 const authRoutes = require('./routes/auth');
-const { authenticateToken } = require('./middleware/auth');
+const syncRoutes = require('./routes/sync');
+const reportRoutes = require('./routes/reports');
+const disputeRoutes = require('./routes/disputes');
+const scoreRoutes = require('./routes/scores');
+const alertRoutes = require('./routes/alerts');
+const scheduleRoutes = require('./routes/schedule');
+const { errorHandler } = require('./middleware/error-handler');
 
 const app = express();
 const PORT = parseInt(process.env.PORT, 10) || 3001;
 
-// Configuración
-const SMARTCREDIT_URL = 'https://www.smartcredit.com/?PID=56032';
-const LOGIN_URL = 'https://www.smartcredit.com/login/';
-const DASHBOARD_URL = 'https://www.smartcredit.com/member/';
-
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -56,316 +40,32 @@ app.use(express.json());
 // Rutas de autenticación (sin protección)
 app.use('/api/auth', authRoutes);
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok', service: 'smartcredit-scraper', timestamp: new Date().toISOString() });
-});
-
-// Error classification function for scraping errors
-function classifyScrapingError(error) {
-  const errorMsg = error.message.toLowerCase();
-
-  // Login/Auth errors
-  if (errorMsg.includes('login falló') || errorMsg.includes('no se redirigió al dashboard')) {
-    return {
-      code: 'AUTH_FAILED',
-      userMessage: 'Invalid SmartCredit credentials. Please update them in Settings.',
-      technicalMessage: error.message
-    };
-  }
-
-  // SmartCredit site errors
-  if (errorMsg.includes('no se encontró') || errorMsg.includes('not found')) {
-    return {
-      code: 'SITE_UNAVAILABLE',
-      userMessage: 'SmartCredit is temporarily unavailable. Please try again later.',
-      technicalMessage: error.message
-    };
-  }
+// Rutas de sync (jobs asíncronos, requieren autenticación)
+app.use('/api/sync', syncRoutes);
 
-  // Network errors
-  if (errorMsg.includes('timeout') || errorMsg.includes('econnrefused') || errorMsg.includes('network')) {
-    return {
-      code: 'NETWORK_ERROR',
-      userMessage: 'Network error. Please check your internet connection and try again.',
-      technicalMessage: error.message
-    };
-  }
+// Programación de syncs automáticos (requiere autenticación)
+app.use('/api/schedule', scheduleRoutes);
 
-  // Generic error
-  return {
-    code: 'UNKNOWN_ERROR',
-    userMessage: 'An unexpected error occurred while syncing your credit report. Please try again.',
-    technicalMessage: error.message
-  };
-}
+// Rutas de reportes guardados (requieren autenticación)
+app.use('/api/reports', reportRoutes);
 
-// Main scraping endpoint - Ahora requiere autenticación
-app.post('/api/sync', authenticateToken, async (req, res) => {
-  let browser = null;
+// Rutas de seguimiento de disputas (requieren autenticación)
+app.use('/api/disputes', disputeRoutes);
 
-  try {
-    console.log('\n========================================');
-    console.log('  Iniciando scraping de SmartCredit');
-    console.log('========================================');
-
-    // Get user from MongoDB with SmartCredit credentials
-    const user = await User.findById(req.user.id);
-
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        error: 'User not found',
-        message: 'User not found in database'
-      });
-    }
+// Rutas de historial de scores (requieren autenticación)
+app.use('/api/scores', scoreRoutes);
 
-    // Get SmartCredit credentials from user account
-    const smartcreditEmail = user.smartcreditCredentials?.email;
-    const smartcreditPassword = user.smartcreditCredentials?.password;
+// Feed de alertas de cambios (requiere autenticación)
+app.use('/api/alerts', alertRoutes);
 
-    if (!smartcreditEmail || !smartcreditPassword) {
-      return res.status(400).json({
-        success: false,
-        error: 'SmartCredit credentials not configured',
-        message: 'Please configure your SmartCredit credentials first'
-      });
-    }
-
-    console.log(`✓ User authenticated: ${user.email}`);
-
-    // Iniciar navegador en modo headless
-    console.log('→ Iniciando navegador (headless mode)...');
-    browser = await puppeteer.launch({
-      headless: true, // Sin GUI para producción
-      defaultViewport: null,
-      args: ['--start-maximized', '--no-sandbox', '--disable-setuid-sandbox'],
-    });
-
-    const page = await browser.newPage();
-    console.log('✓ Navegador iniciado');
-
-    // Navegar a página principal
-    console.log('→ Navegando a SmartCredit.com...');
-    await page.goto(SMARTCREDIT_URL, { waitUntil: 'networkidle2', timeout: 60000 });
-    console.log('✓ Página cargada');
-
-    // Click en botón "Log In"
-    console.log('→ Buscando botón de login...');
-    try {
-      await page.waitForSelector(selectors.LOGIN_BUTTON, { timeout: 10000 });
-      await page.click(selectors.LOGIN_BUTTON);
-      console.log('✓ Click en "Log In"');
-      await page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 60000 });
-    } catch (error) {
-      console.log('! Asumiendo que ya estamos en /login/');
-    }
-
-    // Esperar formulario de login
-    console.log('→ Esperando formulario de login...');
-    await page.waitForSelector(selectors.EMAIL_INPUT, { timeout: 10000 });
-    await page.waitForSelector(selectors.PASSWORD_INPUT, { timeout: 10000 });
-    console.log('✓ Formulario detectado');
-
-    // Ingresar credenciales
-    console.log('→ Ingresando credenciales...');
-    await page.type(selectors.EMAIL_INPUT, smartcreditEmail, { delay: 50 });
-    await page.type(selectors.PASSWORD_INPUT, smartcreditPassword, { delay: 50 });
-    console.log('✓ Credenciales ingresadas');
-
-    // Submit login
-    console.log('→ Enviando formulario de login...');
-    await page.click(selectors.SUBMIT_BUTTON);
-    await page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 60000 });
-    console.log('✓ Formulario enviado');
-
-    // Verificar login exitoso
-    const currentUrl = page.url();
-    console.log(`→ URL actual: ${currentUrl}`);
-
-    if (!currentUrl.includes('/member/')) {
-      throw new Error('Login falló - No se redirigió al dashboard');
-    }
-    console.log('✓ Login exitoso');
-
-    // Navegar al 3B Report
-    console.log('→ Navegando al 3B Report...');
-
-    // Click en dropdown "Reports"
-    const reportsDropdownFound = await page.evaluate((selector) => {
-      const dropdowns = Array.from(document.querySelectorAll(selector));
-      const reportsDropdown = dropdowns.find((el) => el.textContent.includes('Reports'));
-      if (reportsDropdown) {
-        reportsDropdown.click();
-        return true;
-      }
-      return false;
-    }, selectors.REPORTS_DROPDOWN);
-
-    if (!reportsDropdownFound) {
-      throw new Error('No se encontró el dropdown "Reports"');
-    }
-
-    console.log('✓ Click en dropdown "Reports"');
-    await new Promise((r) => setTimeout(r, 2000));
-
-    // Click en "3B Report & Scores"
-    const report3BLinkFound = await page.evaluate(() => {
-      let link = document.querySelector('a[href="/member/credit-report/smart-3b/"]');
-
-      if (!link) {
-        const allLinks = Array.from(document.querySelectorAll('a'));
-        link = allLinks.find(a => a.href.includes('smart-3b'));
-      }
-
-      if (!link) {
-        const allLinks = Array.from(document.querySelectorAll('a'));
-        link = allLinks.find(a => a.textContent.includes('3B Report'));
-      }
-
-      if (link) {
-        link.click();
-        return true;
-      }
-
-      return false;
-    });
-
-    if (!report3BLinkFound) {
-      throw new Error('No se encontró el link "3B Report & Scores"');
-    }
-
-    console.log('✓ Click en "3B Report & Scores"');
-    await page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 30000 });
-
-    // Esperar y hacer click en "Switch to Classic View"
-    await new Promise((r) => setTimeout(r, 3000));
-
-    const classicViewButtonInfo = await page.evaluate((selector) => {
-      let buttons = Array.from(document.querySelectorAll(selector));
-      let classicButton = buttons.find((btn) => btn.textContent.includes('Switch to Classic View'));
-
-      if (!classicButton) {
-        buttons = Array.from(document.querySelectorAll('button'));
-        classicButton = buttons.find((btn) => btn.textContent.includes('Classic'));
-      }
-
-      if (!classicButton) {
-        buttons = Array.from(document.querySelectorAll('button'));
-        classicButton = buttons.find((btn) => btn.textContent.includes('Switch'));
-      }
-
-      if (classicButton) {
-        classicButton.click();
-        return { found: true, text: classicButton.textContent.trim() };
-      }
-
-      return { found: false, text: null };
-    }, selectors.CLASSIC_VIEW_BUTTON);
-
-    if (classicViewButtonInfo.found) {
-      console.log(`✓ Click en "${classicViewButtonInfo.text}"`);
-      await new Promise((r) => setTimeout(r, 5000));
-    }
-
-    console.log('✓ Navegación al 3B Report completada');
-
-    // Esperar que cargue el reporte 3B
-    console.log('→ Esperando datos del 3B Report...');
-    await page.waitForSelector(selectors.CREDIT_SCORE_3B_SECTION, { timeout: 15000 });
-    console.log('✓ Sección de credit scores 3B detectada');
-
-    // Espera adicional para contenido dinámico
-    await new Promise((r) => setTimeout(r, 3000));
-
-    // Extraer datos del 3B Report usando extraction service (FASE 6)
-    console.log('→ Extrayendo datos del 3B Report...');
-
-    // Usar ExtractionService para extraer TODAS las secciones disponibles
-    // Incluye: scores, personalInfo, summary, accountHistory (34 cuentas), publicRecords, inquiries
-    const raw3BData = await extractionService.extractAll3BReport(page, {
-      sections: ['scores', 'personalInfo', 'summary', 'accountHistory', 'publicRecords', 'inquiries'],
-      accountHistory: {
-        // Sin límite = extraer todas las cuentas disponibles
-      }
-    });
-
-    console.log('✓ Datos extraídos con extraction-service');
-
-    // Construir reporte final usando report builder (FASE 6)
-    console.log('→ Construyendo reporte final...');
-    const creditData = reportBuilder.buildFullReport(raw3BData, {
-      includeDashboard: false
-    });
-
-    console.log('✓ Reporte construido exitosamente');
-
-    console.log('✓ Datos parseados');
-
-    // Save report to MongoDB
-    console.log('→ Saving report to MongoDB...');
-    try {
-      const creditReport = new CreditReport({
-        userId: req.user.id,
-        reportData: creditData,
-        scrapingStatus: 'completed',
-        scrapingDuration: null, // Could calculate from start time
-        metadata: {
-          scrapedSections: ['scores', 'personalInfo', 'summary', 'accountHistory', 'publicRecords', 'inquiries'],
-        },
-      });
-
-      await creditReport.save();
-
-      // Update user's lastReportId
-      await User.findByIdAndUpdate(req.user.id, {
-        lastReportId: creditReport._id,
-      });
-
-      console.log(`✓ Report saved to MongoDB (ID: ${creditReport._id})`);
-    } catch (dbError) {
-      console.error('⚠️  Warning: Failed to save report to MongoDB:', dbError.message);
-      // Continue even if DB save fails
-    }
-
-    console.log('========================================');
-    console.log('  Scraping completado exitosamente');
-    console.log('========================================\n');
-
-    // Cerrar navegador
-    await browser.close();
-    browser = null;
-
-    // Enviar respuesta
-    res.json({
-      success: true,
-      data: creditData,
-    });
-  } catch (error) {
-    console.error('\n❌ ERROR durante el scraping:');
-    console.error(error.message);
-    console.error(error.stack);
-
-    // Cerrar navegador si hay error
-    if (browser) {
-      try {
-        await browser.close();
-      } catch (closeError) {
-        console.error('Error al cerrar navegador:', closeError.message);
-      }
-    }
-
-    // Classify error and send user-friendly response
-    const errorInfo = classifyScrapingError(error);
-
-    // Enviar respuesta de error
-    res.status(500).json({
-      success: false,
-      error: errorInfo.code,
-      message: errorInfo.userMessage,
-      technicalDetails: errorInfo.technicalMessage  // For debugging
-    });
-  }
+// Health check endpoint
+app.get('/health', (req, res) => {
+  res.json({
+    status: 'ok',
+    service: 'smartcredit-scraper',
+    timestamp: new Date().toISOString(),
+    browserPool: browserPool.getStats(),
+  });
 });
 
 // 404 handler
@@ -378,11 +78,36 @@ app.use((req, res) => {
       '/api/auth/login',
       '/api/auth/register',
       '/api/auth/update-credentials',
-      '/api/sync (POST - requiere autenticación)'
+      '/api/sync (POST - requiere autenticación, encola un job)',
+      '/api/sync/:jobId (GET/DELETE - requiere autenticación, estado del job o cancelarlo)',
+      '/api/sync/:jobId/events (GET - requiere autenticación, progreso en tiempo real por SSE, acepta ?token=)',
+      '/api/sync/:jobId/artifacts (GET - dueño o admin, HTML/screenshot de fallas)',
+      '/api/schedule (GET/PUT/DELETE - requiere autenticación, syncs automáticos)',
+      '/api/schedule/runs (GET - requiere autenticación, resultado de los runs programados)',
+      '/api/reports (GET - requiere autenticación, historial paginado)',
+      '/api/reports/latest (GET - requiere autenticación)',
+      '/api/reports/:id (GET/DELETE - requiere autenticación)',
+      '/api/reports/:id/diff/:otherId (GET - requiere autenticación, también /diff/previous)',
+      '/api/reports/:id/discrepancies (GET - requiere autenticación)',
+      '/api/reports/:id/negative-items (GET - requiere autenticación)',
+      '/api/reports/:id/letters (POST - requiere autenticación, cartas de disputa)',
+      '/api/scores/history (GET - requiere autenticación, filtros from/to/bucket)',
+      '/api/alerts (GET - requiere autenticación, feed de alertas de cambios)',
+      '/api/alerts/:id/read (POST - requiere autenticación)',
+      '/api/alerts/read-all (POST - requiere autenticación)',
+      '/api/disputes (GET/POST - requiere autenticación)',
+      '/api/disputes/overdue (GET - requiere autenticación, plazo de respuesta vencido)',
+      '/api/disputes/:id (GET/PATCH/DELETE - requiere autenticación)',
+      '/api/disputes/:id/status (POST - requiere autenticación, cambio de estado)',
+      '/api/disputes/:id/rounds (POST - requiere autenticación, nueva ronda)',
+      '/api/disputes/:id/history (GET - requiere autenticación)'
     ],
   });
 });
 
+// Manejo central de errores (errores tipados de utils/errors → status HTTP)
+app.use(errorHandler);
+
 // Función para verificar si un puerto está disponible
 async function isPortAvailable(port) {
   const net = require('net');
@@ -440,6 +165,12 @@ async function startServer() {
     process.exit(1);
   }
 
+  // Jobs que quedaron a medias en una ejecución anterior
+  await syncService.failInterruptedJobs();
+
+  // Syncs automáticos según la programación de cada usuario
+  schedulerService.start();
+
   const requestedPort = PORT;
 
   // Intentar encontrar un puerto disponible
@@ -485,21 +216,40 @@ async function startServer() {
   });
 
   // Graceful shutdown
-  process.on('SIGINT', () => {
-    console.log('\n\nCerrando servidor...');
-    server.close(() => {
-      console.log('✓ Servidor cerrado correctamente');
-      process.exit(0);
-    });
-  });
+  let shuttingDown = false;
 
-  process.on('SIGTERM', () => {
+  const shutdown = async () => {
+    if (shuttingDown) {
+      return;
+    }
+
+    shuttingDown = true;
     console.log('\n\nCerrando servidor...');
+    schedulerService.stop();
+
+    // Esperar a que Chromium se cierre (recycle puede terminar en SIGKILL) antes de salir
+    try {
+      await browserPool.shutdown();
+      console.log('✓ Navegador cerrado');
+    } catch (error) {
+      console.error('⚠ Error cerrando el navegador:', error.message);
+    }
+
     server.close(() => {
       console.log('✓ Servidor cerrado correctamente');
       process.exit(0);
     });
-  });
+
+    // Los streams SSE no terminan solos: server.close() esperaría para siempre
+    const streams = syncProgress.closeStreams();
+
+    if (streams > 0) {
+      console.log(`✓ ${streams} stream(s) de progreso cerrados`);
+    }
+  };
+
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
 }
 
 // Iniciar el servidor
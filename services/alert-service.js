@@ -0,0 +1,321 @@
+/**
+ * Alert Service - Alertas de cambios entre el reporte nuevo y el anterior
+ *
+ * Después de guardar un reporte en el sync se evalúan las reglas contra el
+ * reporte completado anterior del usuario:
+ * - new_hard_inquiry: inquiry que no estaba en el reporte anterior
+ * - new_account: cuenta nueva en Account History
+ * - new_late_payment: mes con atraso nuevo en payment_history de una cuenta existente
+ * - score_drop: caída de score de un buró mayor a ALERT_SCORE_DROP_THRESHOLD puntos
+ * - address_change: cambio de current_address en Personal Information
+ *
+ * Las reglas de una sección que vino vacía en alguno de los dos reportes
+ * (metadata.emptySections) no se evalúan: todo se vería como nuevo o eliminado.
+ *
+ * Las alertas se guardan en MongoDB (feed in-app en GET /api/alerts) y se
+ * entregan por los canales registrados (webhook, email, o cualquier canal
+ * agregado con registerChannel).
+ */
+
+const Alert = require('../models/Alert');
+const User = require('../models/User');
+const CreditReport = require('../models/CreditReport');
+const reportDiff = require('./report-diff');
+const negativeItemClassifier = require('./negative-item-classifier');
+const { WebhookChannel, EmailChannel } = require('./notification-channels');
+
+const BUREAUS = ['transunion', 'experian', 'equifax'];
+
+const DEFAULT_SCORE_DROP_THRESHOLD = 20;
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Sección de extractAll3BReport de la que depende cada regla
+const SECTION_BY_ALERT_TYPE = {
+  new_hard_inquiry: 'inquiries',
+  new_account: 'accountHistory',
+  new_late_payment: 'accountHistory',
+  score_drop: 'scores',
+  address_change: 'personalInfo',
+};
+
+/**
+ * Clase principal del servicio de alertas
+ */
+class AlertService {
+  constructor() {
+    this.channels = [new WebhookChannel(), new EmailChannel()];
+  }
+
+  /**
+   * Registra un canal de entrega adicional
+   *
+   * @param {object} channel - { name, isEnabled(), send(alerts, user) }
+   */
+  registerChannel(channel) {
+    this.channels = this.channels.filter(existing => existing.name !== channel.name).concat(channel);
+  }
+
+  /**
+   * Puntos de caída de score que disparan una alerta
+   *
+   * @returns {number}
+   */
+  getScoreDropThreshold() {
+    const threshold = parseInt(process.env.ALERT_SCORE_DROP_THRESHOLD, 10);
+    return isNaN(threshold) ? DEFAULT_SCORE_DROP_THRESHOLD : threshold;
+  }
+
+  /**
+   * Evalúa las reglas para un reporte recién guardado, guarda y entrega las alertas
+   *
+   * @param {string} userId - ID del usuario
+   * @param {object} newReport - CreditReport recién guardado
+   * @param {object} options - { emptySections } secciones que el sync extrajo vacías
+   *                           (default: metadata.emptySections del reporte)
+   * @returns {Promise<Array<object>>} Alertas creadas
+   */
+  async processNewReport(userId, newReport, options = {}) {
+    const { emptySections = newReport.metadata?.emptySections || [] } = options;
+
+    const previousReport = await CreditReport.findOne({
+      userId,
+      _id: { $ne: newReport._id },
+      scrapingStatus: 'completed',
+      'metadata.partial': { $ne: true }, // Un reporte parcial no sirve de base de comparación
+      createdAt: { $lte: newReport.createdAt },
+    }).sort({ createdAt: -1 });
+
+    // Primer reporte del usuario: no hay contra qué comparar
+    if (!previousReport) {
+      return [];
+    }
+
+    // Una sección vacía en cualquiera de los dos reportes haría ver todo como nuevo o eliminado
+    const skipSections = [...new Set([...emptySections, ...(previousReport.metadata?.emptySections || [])])];
+
+    if (skipSections.length > 0) {
+      console.log(`→ Secciones vacías, se omiten sus alertas: ${skipSections.join(', ')}`);
+    }
+
+    const matches = this.evaluate(previousReport.reportData, newReport.reportData, { skipSections });
+
+    if (matches.length === 0) {
+      return [];
+    }
+
+    console.log(`→ ${matches.length} alerta(s) de cambios detectadas`);
+
+    const alerts = await Alert.insertMany(matches.map(match => ({
+      ...match,
+      userId,
+      reportId: newReport._id,
+      previousReportId: previousReport._id,
+    })));
+
+    await this.deliver(alerts, await User.findById(userId));
+
+    return alerts;
+  }
+
+  /**
+   * Evalúa todas las reglas entre dos reportData
+   *
+   * @param {object} previousData - reportData del reporte anterior
+   * @param {object} newData - reportData del reporte nuevo
+   * @param {object} options - { skipSections } secciones cuyas reglas no se evalúan
+   * @returns {Array<object>} [{ type, bureau, message, data }]
+   */
+  evaluate(previousData, newData, options = {}) {
+    const { skipSections = [] } = options;
+    const diff = reportDiff.compare(previousData, newData);
+    const alerts = [];
+
+    // Nuevos hard inquiries
+    diff.inquiries.added.forEach(inquiry => {
+      alerts.push({
+        type: 'new_hard_inquiry',
+        bureau: negativeItemClassifier.normalizeBureau(inquiry.credit_bureau),
+        message: `New hard inquiry from ${inquiry.creditor_name || 'unknown creditor'}${inquiry.inquiry_date ? ` on ${inquiry.inquiry_date}` : ''}`,
+        data: inquiry,
+      });
+    });
+
+    // Cuentas nuevas
+    diff.accounts.added.forEach(account => {
+      alerts.push({
+        type: 'new_account',
+        bureau: null,
+        message: `New account reported: ${account.account_name || 'unknown account'}`,
+        data: account,
+      });
+    });
+
+    // Atrasos nuevos en cuentas que ya existían
+    alerts.push(...this.findNewLatePayments(previousData?.account_history, newData?.account_history));
+
+    // Caídas de score
+    const threshold = this.getScoreDropThreshold();
+
+    BUREAUS.forEach(bureau => {
+      const score = diff.scores[bureau];
+
+      if (score.change !== null && -score.change > threshold) {
+        alerts.push({
+          type: 'score_drop',
+          bureau,
+          message: `${bureau} score dropped ${-score.change} points (${score.before} → ${score.after})`,
+          data: { ...score, threshold },
+        });
+      }
+    });
+
+    // Cambios de dirección
+    diff.personal_information
+      .filter(change => change.field === 'current_address')
+      .forEach(change => {
+        alerts.push({
+          type: 'address_change',
+          bureau: change.bureau,
+          message: `${change.bureau} address changed to ${change.after || '(empty)'}`,
+          data: change,
+        });
+      });
+
+    return alerts.filter(alert => !skipSections.includes(SECTION_BY_ALERT_TYPE[alert.type]));
+  }
+
+  /**
+   * Meses con atraso en payment_history que no estaban en la misma cuenta del reporte anterior
+   *
+   * @param {Array<object>} previousAccounts - account_history anterior
+   * @param {Array<object>} newAccounts - account_history nuevo
+   * @returns {Array<object>} Alertas new_late_payment
+   */
+  findNewLatePayments(previousAccounts, newAccounts) {
+    if (!Array.isArray(previousAccounts) || !Array.isArray(newAccounts)) {
+      return [];
+    }
+
+    const alerts = [];
+
+    newAccounts.forEach(account => {
+      const previous = previousAccounts.find(candidate => reportDiff.isSameAccount(candidate, account));
+
+      // Las cuentas nuevas ya generan su propia alerta
+      if (!previous) {
+        return;
+      }
+
+      BUREAUS.forEach(bureau => {
+        // "Aug" se repite cada año: los meses se comparan por mes + año
+        const lateMonths = (months) => this.datePaymentHistory(months)
+          .filter(({ month }) => negativeItemClassifier.paymentHistoryCode(month)?.type === 'late_payment');
+
+        const knownMonths = new Set(lateMonths(previous.payment_history?.[bureau]).map(({ key }) => key));
+
+        lateMonths(account.payment_history?.[bureau])
+          .filter(({ key }) => !knownMonths.has(key))
+          .forEach(({ month, year }) => {
+            const code = negativeItemClassifier.paymentHistoryCode(month);
+            const label = [month.month, year].filter(Boolean).join(' ') || 'unknown month';
+
+            alerts.push({
+              type: 'new_late_payment',
+              bureau,
+              message: `New ${code.days}-day late payment on ${account.account_name || 'unknown account'} (${label})`,
+              data: {
+                account_name: account.account_name ?? null,
+                account_number: account[bureau]?.account_number ?? null,
+                month: month.month,
+                year,
+                status: month.status || month.status_class,
+                days_late: code.days,
+              },
+            });
+          });
+      });
+    });
+
+    return alerts;
+  }
+
+  /**
+   * Asigna el año a cada mes del payment_history
+   *
+   * SmartCredit solo muestra el nombre del mes ("Aug"); enero se muestra como
+   * el año ("'25"). El año de cada mes sale de su distancia a ese marcador
+   * (los 24 meses son consecutivos, en orden ascendente o descendente).
+   * Sin marcador el mes queda con year null y se compara solo por nombre.
+   *
+   * @param {Array<object>} months - payment_history de un buró [{ month, status, status_class }]
+   * @returns {Array<object>} [{ month, year, key }] en el mismo orden
+   */
+  datePaymentHistory(months) {
+    const list = Array.isArray(months) ? months : [];
+
+    const parsed = list.map(month => {
+      const label = String(month?.month || '').trim();
+      const marker = label.match(/'(\d{2})\b/);
+
+      return {
+        monthIndex: marker ? 0 : MONTH_NAMES.indexOf(label.slice(0, 3).toLowerCase()),
+        year: marker ? 2000 + parseInt(marker[1], 10) : null,
+      };
+    });
+
+    // Dirección de la grilla: el primer par de meses conocidos consecutivos
+    let step = 1;
+
+    for (let i = 1; i < parsed.length; i++) {
+      if (parsed[i - 1].monthIndex !== -1 && parsed[i].monthIndex !== -1) {
+        step = (parsed[i].monthIndex - parsed[i - 1].monthIndex + 12) % 12 === 11 ? -1 : 1;
+        break;
+      }
+    }
+
+    const anchor = parsed.findIndex(entry => entry.year !== null);
+
+    return list.map((month, index) => {
+      // Meses desde el enero del marcador (negativo = año anterior)
+      const year = anchor === -1 ? null : parsed[anchor].year + Math.floor(((index - anchor) * step) / 12);
+
+      return { month, year, key: `${String(month?.month || '').trim()}|${year ?? ''}` };
+    });
+  }
+
+  /**
+   * Entrega las alertas por cada canal habilitado y registra el resultado
+   * Un canal que falla no impide la entrega por los demás
+   *
+   * @param {Array<object>} alerts - Documentos Alert guardados
+   * @param {object} user - Usuario dueño de las alertas
+   */
+  async deliver(alerts, user) {
+    if (!user) {
+      return;
+    }
+
+    const summaries = alerts.map(alert => alert.getSummary());
+
+    for (const channel of this.channels.filter(c => c.isEnabled())) {
+      let delivery;
+
+      try {
+        await channel.send(summaries, user);
+        delivery = { channel: channel.name, status: 'sent' };
+        console.log(`  ✓ Alertas entregadas por ${channel.name}`);
+      } catch (error) {
+        delivery = { channel: channel.name, status: 'failed', error: error.message };
+        console.error(`  ⚠ Error entregando alertas por ${channel.name}:`, error.message);
+      }
+
+      alerts.forEach(alert => alert.deliveries.push({ ...delivery, deliveredAt: new Date() }));
+    }
+
+    await Promise.all(alerts.map(alert => alert.save()));
+  }
+}
+
+// Exportar instancia singleton del servicio
+module.exports = new AlertService();
@@ -0,0 +1,174 @@
+/**
+ * Artifact Service - Captura HTML, screenshot y URL de la página durante un sync
+ *
+ * Cuando un sync falla (o una sección se extrae vacía) guarda en disco lo que
+ * el navegador estaba mostrando en ese momento, para poder analizarlo después
+ * (por ejemplo con el modo replay de scraper.js).
+ *
+ * Estructura en disco (ARTIFACTS_DIR, default: output/artifacts):
+ *   <jobId>/<label>.html   → HTML de la página
+ *   <jobId>/<label>.png    → Screenshot de página completa
+ *   <jobId>/<label>.json   → { url, reason, capturedAt }
+ *
+ * Modo de captura (SYNC_CAPTURE_ARTIFACTS):
+ *   'failure' (default) → solo en errores y secciones vacías
+ *   'always'            → además, al final de cada sync exitoso
+ *   'never'             → desactivado
+ * Cada sync puede sobreescribirlo con captureArtifacts en el body de POST /api/sync.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CAPTURE_MODES = ['failure', 'always', 'never'];
+
+/**
+ * Clase principal del servicio de artifacts
+ */
+class ArtifactService {
+  constructor() {
+    this.baseDir = path.resolve(process.env.ARTIFACTS_DIR || path.join(__dirname, '..', 'output', 'artifacts'));
+  }
+
+  /**
+   * Modo de captura configurado
+   *
+   * @param {string|null} override - Modo solicitado para un sync (null = SYNC_CAPTURE_ARTIFACTS)
+   * @returns {string} 'failure' | 'always' | 'never'
+   */
+  getCaptureMode(override = null) {
+    if (this.isValidCaptureMode(override)) {
+      return override;
+    }
+
+    const mode = (process.env.SYNC_CAPTURE_ARTIFACTS || 'failure').toLowerCase();
+    return CAPTURE_MODES.includes(mode) ? mode : 'failure';
+  }
+
+  /**
+   * Indica si un valor es un modo de captura válido
+   *
+   * @param {*} mode - Valor a validar
+   * @returns {boolean}
+   */
+  isValidCaptureMode(mode) {
+    return CAPTURE_MODES.includes(mode);
+  }
+
+  /**
+   * Captura HTML, screenshot y URL actual de la página
+   * Nunca lanza errores: una captura fallida no debe romper el sync
+   *
+   * @param {object} page - Instancia de Puppeteer page
+   * @param {string} key - Identificador del directorio (jobId)
+   * @param {object} options - Opciones de captura
+   * @param {string} options.label - Prefijo de los archivos ('failure', 'empty-sections', 'run')
+   * @param {string} options.reason - Motivo de la captura (se guarda en el .json)
+   * @param {string} options.mode - Modo de captura del sync (default: SYNC_CAPTURE_ARTIFACTS)
+   * @returns {Promise<object|null>} { label, url, reason, files, capturedAt } o null si no se pudo capturar
+   */
+  async capture(page, key, options = {}) {
+    const { label = 'failure', reason = null, mode = null } = options;
+
+    if (!page || this.getCaptureMode(mode) === 'never') {
+      return null;
+    }
+
+    try {
+      const dir = this.getDirectory(key);
+      fs.mkdirSync(dir, { recursive: true });
+
+      console.log(`→ Capturando artifacts (${label}) en ${dir}...`);
+
+      const files = [];
+      const capturedAt = new Date();
+      let url = null;
+
+      try {
+        url = page.url();
+      } catch (error) {
+        console.error('  ⚠ No se pudo obtener la URL:', error.message);
+      }
+
+      try {
+        const html = await page.content();
+        fs.writeFileSync(path.join(dir, `${label}.html`), html, 'utf-8');
+        files.push(`${label}.html`);
+      } catch (error) {
+        console.error('  ⚠ No se pudo guardar el HTML:', error.message);
+      }
+
+      try {
+        await page.screenshot({ path: path.join(dir, `${label}.png`), fullPage: true });
+        files.push(`${label}.png`);
+      } catch (error) {
+        console.error('  ⚠ No se pudo guardar el screenshot:', error.message);
+      }
+
+      fs.writeFileSync(
+        path.join(dir, `${label}.json`),
+        JSON.stringify({ url, reason, capturedAt: capturedAt.toISOString() }, null, 2),
+        'utf-8'
+      );
+      files.push(`${label}.json`);
+
+      console.log(`  ✓ Artifacts guardados: ${files.join(', ')}`);
+
+      return { label, url, reason, files, capturedAt };
+
+    } catch (error) {
+      console.error('❌ Error capturando artifacts:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Lista los archivos guardados para un job
+   *
+   * @param {string} key - Identificador del directorio (jobId)
+   * @returns {Array<object>} [{ name, size, modifiedAt }]
+   */
+  list(key) {
+    const dir = this.getDirectory(key);
+
+    if (!fs.existsSync(dir)) {
+      return [];
+    }
+
+    return fs.readdirSync(dir).map((name) => {
+      const stats = fs.statSync(path.join(dir, name));
+      return { name, size: stats.size, modifiedAt: stats.mtime };
+    });
+  }
+
+  /**
+   * Resuelve la ruta absoluta de un artifact, sin permitir salir del directorio del job
+   *
+   * @param {string} key - Identificador del directorio (jobId)
+   * @param {string} fileName - Nombre del archivo
+   * @returns {string|null} Ruta absoluta o null si no existe / no es válida
+   */
+  resolveFile(key, fileName) {
+    const dir = this.getDirectory(key);
+    const filePath = path.resolve(dir, fileName);
+
+    if (path.dirname(filePath) !== dir || !fs.existsSync(filePath)) {
+      return null;
+    }
+
+    return filePath;
+  }
+
+  /**
+   * Directorio de artifacts de un job
+   *
+   * @param {string} key - Identificador del directorio (jobId)
+   * @returns {string} Ruta absoluta
+   */
+  getDirectory(key) {
+    return path.join(this.baseDir, String(key));
+  }
+}
+
+// Exportar instancia singleton del servicio
+module.exports = new ArtifactService();
@@ -0,0 +1,307 @@
+/**
+ * Browser Pool - Chromium compartido con contextos aislados por sync
+ *
+ * En lugar de lanzar un Chromium por cada sync, el pool mantiene un navegador
+ * (lanzado bajo demanda) y entrega a cada sync un browser context incógnito
+ * propio, de modo que cookies y sesiones nunca se mezclan entre usuarios.
+ *
+ * - BROWSER_POOL_SIZE: máximo de syncs simultáneos (contextos abiertos)
+ * - Si todos los slots están ocupados, acquire() espera en cola (FIFO)
+ *   hasta BROWSER_POOL_QUEUE_TIMEOUT ms
+ * - Un health check periódico detecta navegadores caídos o colgados y los
+ *   recicla; el siguiente acquire() lanza uno nuevo
+ */
+
+const puppeteer = require('puppeteer');
+const { BrowserCrashError, ScrapeTimeoutError } = require('../utils/errors');
+
+const DEFAULT_POOL_SIZE = 2;
+const DEFAULT_QUEUE_TIMEOUT = 5 * 60 * 1000;
+const HEALTH_CHECK_INTERVAL = 30000;
+const HEALTH_CHECK_TIMEOUT = 5000;
+
+const LAUNCH_OPTIONS = {
+  headless: true, // Sin GUI para producción
+  defaultViewport: null,
+  args: ['--start-maximized', '--no-sandbox', '--disable-setuid-sandbox'],
+};
+
+/**
+ * Clase principal del pool de navegadores
+ */
+class BrowserPool {
+  constructor() {
+    this.maxConcurrency = parseInt(process.env.BROWSER_POOL_SIZE, 10) || DEFAULT_POOL_SIZE;
+    this.queueTimeout = parseInt(process.env.BROWSER_POOL_QUEUE_TIMEOUT, 10) || DEFAULT_QUEUE_TIMEOUT;
+
+    this.browser = null;
+    this.launching = null; // Promise del lanzamiento en curso (evita lanzar dos veces)
+    this.active = new Set(); // Leases entregados
+    this.queue = []; // [{ resolve, reject, timer }]
+    this.healthTimer = null;
+  }
+
+  /**
+   * Obtiene un slot del pool con un contexto incógnito nuevo
+   * Espera en cola si todos los slots están ocupados
+   *
+   * @param {object} options - { signal } AbortSignal para dejar de esperar en la cola
+   * @returns {Promise<object>} Lease { browser, context }; devolver con release(lease)
+   */
+  async acquire(options = {}) {
+    const { signal } = options;
+    let lease;
+
+    signal?.throwIfAborted();
+
+    if (this.active.size >= this.maxConcurrency || this.queue.length > 0) {
+      console.log(`→ Pool de navegadores lleno (${this.active.size}/${this.maxConcurrency}), esperando slot...`);
+      lease = await this.waitForSlot(signal); // next() ya reservó el slot
+    } else {
+      lease = this.reserveSlot();
+    }
+
+    try {
+      lease.browser = await this.getBrowser();
+      lease.context = await lease.browser.createBrowserContext();
+      this.startHealthChecks();
+      return lease;
+    } catch (error) {
+      this.active.delete(lease);
+      this.next();
+      throw error;
+    }
+  }
+
+  /**
+   * Devuelve un slot al pool cerrando su contexto (nunca lanza errores)
+   *
+   * @param {object} lease - Lease obtenido con acquire()
+   */
+  async release(lease) {
+    if (!lease || !this.active.has(lease)) {
+      return;
+    }
+
+    this.active.delete(lease);
+
+    try {
+      if (lease.context && lease.browser?.connected) {
+        await lease.context.close();
+      }
+    } catch (error) {
+      console.error('⚠ Error cerrando browser context:', error.message);
+    }
+
+    this.next();
+  }
+
+  /**
+   * Ejecuta una función con un contexto del pool y lo libera al terminar
+   *
+   * @param {Function} fn - async (context) => resultado
+   * @returns {Promise<*>} Resultado de fn
+   */
+  async withContext(fn) {
+    const lease = await this.acquire();
+
+    try {
+      return await fn(lease.context);
+    } finally {
+      await this.release(lease);
+    }
+  }
+
+  /**
+   * Reserva un slot de forma síncrona (antes de cualquier await)
+   *
+   * @returns {object} Lease vacío { browser, context }
+   */
+  reserveSlot() {
+    const lease = { browser: null, context: null };
+    this.active.add(lease);
+    return lease;
+  }
+
+  /**
+   * Espera hasta que un release() libere un slot
+   *
+   * @param {AbortSignal} signal - Opcional, saca al waiter de la cola al abortar
+   * @returns {Promise<object>} Lease ya reservado
+   */
+  waitForSlot(signal) {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(waiter.timer);
+        this.queue = this.queue.filter(w => w !== waiter);
+        reject(signal.reason);
+      };
+
+      const waiter = {
+        resolve: (lease) => {
+          signal?.removeEventListener('abort', onAbort);
+          resolve(lease);
+        },
+        reject: (error) => {
+          signal?.removeEventListener('abort', onAbort);
+          reject(error);
+        },
+        timer: null,
+      };
+
+      waiter.timer = setTimeout(() => {
+        this.queue = this.queue.filter(w => w !== waiter);
+        waiter.reject(new ScrapeTimeoutError(`Timeout esperando un navegador libre (${this.queueTimeout} ms)`, { stage: 'launching_browser' }));
+      }, this.queueTimeout);
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this.queue.push(waiter);
+    });
+  }
+
+  /**
+   * Entrega el slot libre al siguiente en la cola
+   */
+  next() {
+    if (this.queue.length > 0 && this.active.size < this.maxConcurrency) {
+      const waiter = this.queue.shift();
+      clearTimeout(waiter.timer);
+      waiter.resolve(this.reserveSlot());
+    }
+  }
+
+  /**
+   * Devuelve el navegador compartido, lanzándolo si no existe o se cayó
+   *
+   * @returns {Promise<object>} Instancia de Puppeteer browser
+   */
+  async getBrowser() {
+    if (this.browser?.connected) {
+      return this.browser;
+    }
+
+    if (!this.launching) {
+      this.launching = (async () => {
+        console.log('→ Iniciando navegador del pool (headless mode)...');
+        const browser = await puppeteer.launch(LAUNCH_OPTIONS);
+
+        browser.on('disconnected', () => {
+          if (this.browser === browser) {
+            console.log('⚠ Navegador del pool desconectado');
+            this.browser = null;
+          }
+        });
+
+        this.browser = browser;
+        console.log('✓ Navegador del pool iniciado');
+        return browser;
+      })().finally(() => {
+        this.launching = null;
+      });
+    }
+
+    return this.launching;
+  }
+
+  /**
+   * Inicia el health check periódico (una sola vez)
+   */
+  startHealthChecks() {
+    if (this.healthTimer) {
+      return;
+    }
+
+    this.healthTimer = setInterval(() => this.healthCheck(), HEALTH_CHECK_INTERVAL);
+    this.healthTimer.unref(); // No mantener vivo el proceso solo por el health check
+  }
+
+  /**
+   * Verifica que el navegador responda; si está caído o colgado lo recicla
+   *
+   * @returns {Promise<boolean>} true si el navegador está sano (o no hay navegador)
+   */
+  async healthCheck() {
+    const browser = this.browser;
+
+    if (!browser) {
+      return true;
+    }
+
+    try {
+      if (!browser.connected) {
+        throw new Error('browser disconnected');
+      }
+
+      await Promise.race([
+        browser.version(),
+        new Promise((resolve, reject) => {
+          setTimeout(() => reject(new Error('browser not responding')), HEALTH_CHECK_TIMEOUT).unref();
+        }),
+      ]);
+
+      return true;
+    } catch (error) {
+      console.error(`❌ Health check del navegador falló (${error.message}), reciclando...`);
+      await this.recycle(browser);
+      return false;
+    }
+  }
+
+  /**
+   * Descarta un navegador (cierre normal y, si no responde, kill del proceso)
+   *
+   * @param {object} browser - Navegador a descartar
+   */
+  async recycle(browser) {
+    if (this.browser === browser) {
+      this.browser = null;
+    }
+
+    try {
+      await Promise.race([
+        browser.close(),
+        new Promise((resolve, reject) => {
+          setTimeout(() => reject(new Error('close timeout')), HEALTH_CHECK_TIMEOUT).unref();
+        }),
+      ]);
+    } catch (error) {
+      browser.process()?.kill('SIGKILL');
+    }
+  }
+
+  /**
+   * Estado actual del pool (para /health y debugging)
+   *
+   * @returns {object} { maxConcurrency, active, waiting, browserConnected }
+   */
+  getStats() {
+    return {
+      maxConcurrency: this.maxConcurrency,
+      active: this.active.size,
+      waiting: this.queue.length,
+      browserConnected: !!this.browser?.connected,
+    };
+  }
+
+  /**
+   * Cierra el navegador y rechaza los syncs en espera (graceful shutdown)
+   */
+  async shutdown() {
+    if (this.healthTimer) {
+      clearInterval(this.healthTimer);
+      this.healthTimer = null;
+    }
+
+    this.queue.splice(0).forEach(waiter => {
+      clearTimeout(waiter.timer);
+      waiter.reject(new BrowserCrashError('Browser pool is shutting down', { stage: 'launching_browser' }));
+    });
+
+    if (this.browser) {
+      await this.recycle(this.browser);
+    }
+  }
+}
+
+// Exportar instancia singleton del pool
+module.exports = new BrowserPool();
@@ -0,0 +1,147 @@
+/**
+ * Discrepancy Analyzer - Detecta inconsistencias entre burós por cuenta
+ *
+ * Compara los bloques transunion / experian / equifax que produce
+ * reportBuilder.parseAccountHistory y marca:
+ * - Campos con valores distintos entre burós (balance, fechas, status, límites)
+ * - Cuentas que no aparecen en alguno de los burós
+ *
+ * Estas inconsistencias son la base de las disputas ante los burós.
+ */
+
+const { extractNumber } = require('../utils/parser');
+
+const BUREAUS = ['transunion', 'experian', 'equifax'];
+
+// Campos comparados y cómo normalizar su valor antes de comparar
+const COMPARED_FIELDS = {
+  balance_owed: 'money',
+  high_balance: 'money',
+  credit_limit: 'money',
+  past_due_amount: 'money',
+  date_opened: 'text',
+  account_status: 'text',
+  payment_status: 'text'
+};
+
+/**
+ * Clase principal del analizador de discrepancias
+ */
+class DiscrepancyAnalyzer {
+  /**
+   * Analiza todas las cuentas del Account History
+   *
+   * @param {Array<object>} accountHistory - account_history del reporte construido
+   * @returns {object} { total, accounts_with_discrepancies, accounts: [...] }
+   */
+  analyzeAccounts(accountHistory) {
+    if (!Array.isArray(accountHistory)) {
+      return { total: 0, accounts_with_discrepancies: 0, accounts: [] };
+    }
+
+    const accounts = accountHistory
+      .map((account, index) => this.analyzeAccount(account, index))
+      .filter(result => result.discrepancies.length > 0);
+
+    return {
+      total: accounts.reduce((sum, account) => sum + account.discrepancies.length, 0),
+      accounts_with_discrepancies: accounts.length,
+      accounts
+    };
+  }
+
+  /**
+   * Analiza una cuenta comparando sus 3 burós
+   *
+   * @param {object} account - Cuenta parseada ({ account_name, transunion, experian, equifax })
+   * @param {number} index - Posición de la cuenta en account_history
+   * @returns {object} { account_index, account_name, account_numbers, discrepancies: [...] }
+   */
+  analyzeAccount(account, index) {
+    const discrepancies = [];
+    const reportingBureaus = BUREAUS.filter(bureau => this.isReported(account[bureau]));
+    const missingBureaus = BUREAUS.filter(bureau => !reportingBureaus.includes(bureau));
+
+    // Cuenta reportada solo por algunos burós
+    if (reportingBureaus.length > 0 && missingBureaus.length > 0) {
+      discrepancies.push({
+        type: 'missing_on_bureau',
+        field: null,
+        reported_by: reportingBureaus,
+        missing_from: missingBureaus
+      });
+    }
+
+    // Comparar campos solo entre los burós que reportan la cuenta
+    if (reportingBureaus.length > 1) {
+      Object.entries(COMPARED_FIELDS).forEach(([field, kind]) => {
+        const normalized = reportingBureaus.map(bureau => this.normalize(account[bureau][field], kind));
+
+        if (new Set(normalized).size > 1) {
+          const values = {};
+          reportingBureaus.forEach(bureau => {
+            values[bureau] = account[bureau][field] ?? null;
+          });
+
+          discrepancies.push({
+            type: 'value_mismatch',
+            field,
+            values
+          });
+        }
+      });
+    }
+
+    const accountNumbers = {};
+    reportingBureaus.forEach(bureau => {
+      accountNumbers[bureau] = account[bureau].account_number ?? null;
+    });
+
+    return {
+      account_index: index,
+      account_name: account.account_name ?? null,
+      account_numbers: accountNumbers,
+      discrepancies
+    };
+  }
+
+  /**
+   * Indica si un buró reporta la cuenta (al menos un campo con valor)
+   *
+   * @param {object|null} bureauFields - Campos de la cuenta para un buró
+   * @returns {boolean}
+   */
+  isReported(bureauFields) {
+    if (!bureauFields) {
+      return false;
+    }
+
+    return Object.values(bureauFields).some(value => value !== null && value !== undefined && value !== '');
+  }
+
+  /**
+   * Normaliza un valor para comparación
+   * Ejemplos:
+   *   money: "$1,234" -> "1234", "$0" -> "0"
+   *   text: "  Open  Account " -> "open account"
+   *
+   * @param {string|null} value - Valor original
+   * @param {string} kind - 'money' | 'text'
+   * @returns {string} Valor normalizado ('' si no hay valor)
+   */
+  normalize(value, kind) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+
+    if (kind === 'money') {
+      const amount = extractNumber(value);
+      return amount === null ? '' : String(amount);
+    }
+
+    return String(value).trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+}
+
+// Exportar instancia singleton del analizador
+module.exports = new DiscrepancyAnalyzer();
@@ -0,0 +1,245 @@
+/**
+ * Dispute Outcome Service - Detecta el resultado de las disputas abiertas
+ *
+ * Después de cada sync compara el item disputado (cuenta o inquiry) del
+ * reporte contra el que se abrió la disputa con el reporte recién construido:
+ * - El item ya no aparece en el buró      → deleted
+ * - El item cambió en campos relevantes   → updated
+ * - Sin cambios                           → la disputa sigue abierta
+ *
+ * La evidencia (valores antes/después y ambos reportId) queda guardada en
+ * dispute.outcomes para mostrarla al cliente como prueba del resultado.
+ */
+
+const Dispute = require('../models/Dispute');
+const CreditReport = require('../models/CreditReport');
+const discrepancyAnalyzer = require('./discrepancy-analyzer');
+
+// Campos de cuenta que cuentan como "actualizado por el buró".
+// Se excluyen los que cambian cada mes sin intervención (balance, fechas de reporte, pagos)
+const OUTCOME_FIELDS = {
+  account_status: 'text',
+  payment_status: 'text',
+  account_rating: 'text',
+  creditor_remarks: 'text',
+  past_due_amount: 'money',
+  high_balance: 'money',
+  credit_limit: 'money',
+  date_opened: 'text',
+  closed_date: 'text',
+  account_type: 'text'
+};
+
+// Sección de extractAll3BReport de la que sale cada tipo de item disputado
+const SECTION_BY_ITEM_TYPE = {
+  account: 'accountHistory',
+  inquiry: 'inquiries'
+};
+
+/**
+ * Clase principal del servicio de resultados de disputas
+ */
+class DisputeOutcomeService {
+  /**
+   * Revisa las disputas abiertas del usuario contra un reporte nuevo
+   *
+   * @param {string} userId - ID del usuario
+   * @param {object} newReport - CreditReport recién guardado
+   * @param {object} options - { emptySections } secciones que el sync extrajo vacías
+   *                           (p. ej. ['accountHistory']); sus disputas no se evalúan
+   * @returns {Promise<object>} { checked, deleted, updated, unchanged }
+   */
+  async checkOpenDisputes(userId, newReport, options = {}) {
+    const { emptySections = [] } = options;
+
+    const disputes = await Dispute.find({
+      userId,
+      status: { $in: Dispute.OPEN_STATUSES },
+      reportId: { $ne: newReport._id }
+    });
+
+    const result = { checked: disputes.length, deleted: 0, updated: 0, unchanged: 0 };
+
+    if (disputes.length === 0) {
+      return result;
+    }
+
+    console.log(`→ Revisando ${disputes.length} disputa(s) abierta(s) contra el nuevo reporte...`);
+
+    // Cache de reportes originales (varias disputas suelen venir del mismo reporte)
+    const previousReports = new Map();
+
+    for (const dispute of disputes) {
+      const key = String(dispute.reportId);
+
+      if (!previousReports.has(key)) {
+        previousReports.set(key, await CreditReport.findOne({ _id: dispute.reportId, userId }));
+      }
+
+      // Un extractor que falla devuelve la sección vacía: "no aparece" no prueba que se eliminó
+      if (emptySections.includes(SECTION_BY_ITEM_TYPE[dispute.item.type])) {
+        result.unchanged++;
+        continue;
+      }
+
+      const outcome = this.detectOutcome(dispute, previousReports.get(key)?.reportData, newReport.reportData);
+
+      if (!outcome) {
+        result.unchanged++;
+        continue;
+      }
+
+      dispute.transitionTo(outcome.status, {
+        note: `Detected automatically from report ${newReport._id}`
+      });
+      dispute.outcomes.push({
+        round: dispute.round,
+        status: outcome.status,
+        previousReportId: dispute.reportId,
+        newReportId: newReport._id,
+        changes: outcome.changes
+      });
+      await dispute.save();
+
+      result[outcome.status]++;
+      console.log(`  ✓ Disputa ${dispute._id} (${dispute.bureau}): ${outcome.status}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Determina el resultado de una disputa comparando ambos reportes
+   *
+   * @param {object} dispute - Disputa abierta
+   * @param {object|null} previousData - reportData del reporte original (null si se borró)
+   * @param {object} newData - reportData del reporte nuevo
+   * @returns {object|null} { status: 'deleted' | 'updated', changes: [{ field, before, after }] } o null
+   */
+  detectOutcome(dispute, previousData, newData) {
+    if (dispute.item.type === 'inquiry') {
+      return this.detectInquiryOutcome(dispute, newData);
+    }
+
+    return this.detectAccountOutcome(dispute, previousData, newData);
+  }
+
+  /**
+   * Resultado para una cuenta de account_history
+   */
+  detectAccountOutcome(dispute, previousData, newData) {
+    const { bureau, item } = dispute;
+
+    // Sin account_history (o vacío, p. ej. si falló el extractor) no se puede concluir nada
+    if (!Array.isArray(newData?.account_history) || newData.account_history.length === 0) {
+      return null;
+    }
+
+    const before = this.findPreviousAccount(previousData, item)?.[bureau] || null;
+    const current = newData.account_history.find(account => this.matchesAccount(account, item, bureau));
+    const after = current?.[bureau];
+
+    if (!after || !discrepancyAnalyzer.isReported(after)) {
+      const changes = before
+        ? ['account_number', ...Object.keys(OUTCOME_FIELDS)]
+          .filter(field => before[field] !== null && before[field] !== undefined)
+          .map(field => ({ field, before: before[field], after: null }))
+        : [{ field: 'account_number', before: item.accountNumber, after: null }];
+
+      return { status: 'deleted', changes };
+    }
+
+    // Sin los valores originales solo se puede detectar la eliminación
+    if (!before) {
+      return null;
+    }
+
+    const changes = Object.entries(OUTCOME_FIELDS)
+      .filter(([field, kind]) =>
+        discrepancyAnalyzer.normalize(before[field], kind) !== discrepancyAnalyzer.normalize(after[field], kind)
+      )
+      .map(([field]) => ({ field, before: before[field] ?? null, after: after[field] ?? null }));
+
+    return changes.length > 0 ? { status: 'updated', changes } : null;
+  }
+
+  /**
+   * Resultado para un inquiry (solo puede desaparecer)
+   */
+  detectInquiryOutcome(dispute, newData) {
+    const details = newData?.inquiries?.details;
+
+    // Lista vacía: puede ser un scrape fallido, no se marca como deleted
+    if (!Array.isArray(details) || details.length === 0) {
+      return null;
+    }
+
+    const { bureau, item } = dispute;
+    const stillReported = details.some(inquiry =>
+      this.normalizeName(inquiry.creditor_name) === this.normalizeName(item.creditorName) &&
+      (inquiry.inquiry_date ?? null) === (item.inquiryDate ?? null) &&
+      (!inquiry.credit_bureau || inquiry.credit_bureau.toLowerCase().includes(bureau))
+    );
+
+    if (stillReported) {
+      return null;
+    }
+
+    return {
+      status: 'deleted',
+      changes: [
+        { field: 'creditor_name', before: item.creditorName, after: null },
+        { field: 'inquiry_date', before: item.inquiryDate, after: null }
+      ]
+    };
+  }
+
+  /**
+   * Cuenta disputada dentro del reporte original
+   * Usa el índice guardado y verifica que siga siendo la misma cuenta
+   */
+  findPreviousAccount(previousData, item) {
+    const accounts = previousData?.account_history;
+
+    if (!Array.isArray(accounts)) {
+      return null;
+    }
+
+    const atIndex = accounts[item.index];
+
+    if (atIndex && this.normalizeName(atIndex.account_name) === this.normalizeName(item.accountName)) {
+      return atIndex;
+    }
+
+    return accounts.find(account => this.normalizeName(account.account_name) === this.normalizeName(item.accountName)) || null;
+  }
+
+  /**
+   * Indica si una cuenta del reporte nuevo es la cuenta disputada
+   * (mismo acreedor y, si se conoce, mismo número de cuenta en el buró)
+   */
+  matchesAccount(account, item, bureau) {
+    if (this.normalizeName(account.account_name) !== this.normalizeName(item.accountName)) {
+      return false;
+    }
+
+    if (!item.accountNumber) {
+      return true;
+    }
+
+    return this.normalizeName(account[bureau]?.account_number) === this.normalizeName(item.accountNumber);
+  }
+
+  /**
+   * Normaliza nombres/números para comparar ("Capital One, N.A." -> "capitalonena")
+   *
+   * @param {string|null} value - Texto original
+   * @returns {string}
+   */
+  normalizeName(value) {
+    return String(value ?? '').toLowerCase().replace(/[^a-z0-9*]/g, '');
+  }
+}
+
+// Exportar instancia singleton del servicio
+module.exports = new DisputeOutcomeService();
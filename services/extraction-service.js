@@ -9,6 +9,8 @@
  * - Manejo de errores por sección (si una falla, las demás continúan)
  * - Soporte para paginación en Account History
  * - Compatible con código existente
+ * - Modo offline: replay sobre snapshots HTML guardados (extractFromSnapshot)
+ * - Scores del dashboard (/member/) con extractDashboard, antes de ir al 3B Report
  */
 
 const extractorConfig = require('../config/extractors');
@@ -16,6 +18,13 @@ const { extractGridData } = require('../utils/extractors/grid-extractor');
 const { extractAccountHistory, extractAccountHistoryPaginated } = require('../utils/extractors/account-extractor');
 const { extractCreditorContacts } = require('../utils/extractors/contact-extractor');
 const { extractInquiriesDetails } = require('../utils/extractors/inquiry-extractor');
+const { extractPublicRecordsDetails, countPublicRecords } = require('../utils/extractors/public-records-extractor');
+const { extractDashboardScores } = require('../utils/extractors/dashboard-extractor');
+const { openSnapshotPage } = require('../utils/snapshot');
+const { BrowserCrashError, ExtractionIncompleteError } = require('../utils/errors');
+
+// Secciones que incluye sections: ['all']
+const ALL_SECTIONS = ['scores', 'personalInfo', 'summary', 'accountHistory', 'publicRecords', 'inquiries', 'creditorContacts'];
 
 /**
  * Clase principal del servicio de extracción
@@ -28,16 +37,23 @@ class ExtractionService {
   /**
    * Extrae todas las secciones del 3B Report
    *
-   * @param {object} page - Instancia de Puppeteer page
+   * @param {object} page - Instancia de Puppeteer page (sesión real o snapshot cargado con openSnapshotPage)
    * @param {object} options - Opciones de extracción
    * @param {Array<string>} options.sections - Secciones a extraer ['all'] o ['scores', 'personalInfo', 'summary', 'accountHistory']
-   * @param {object} options.accountHistory - Opciones de paginación para Account History { limit, offset }
+   * @param {object} options.accountHistory - Paginación y filtros de Account History
+   *                                           { limit, offset, accountType, name, countOnly }
+   *                                           (countOnly: solo el total, sin extraer cuentas)
+   * @param {Function} options.onProgress - Callback opcional por sección ({ section, status, empty, completed, total, error })
+   *                                        status: 'started' | 'completed' | 'failed'; empty = completó sin datos
    * @returns {Promise<object>} Objeto con todas las secciones extraídas
+   * @throws {BrowserCrashError} Si el navegador se cerró durante la extracción
+   * @throws {ExtractionIncompleteError} Si todas las secciones solicitadas vinieron vacías
    */
   async extractAll3BReport(page, options = {}) {
     const {
       sections = ['all'],
-      accountHistory: accountHistoryOptions = {}
+      accountHistory: accountHistoryOptions = {},
+      onProgress = null
     } = options;
 
     console.log('\n========================================');
@@ -47,34 +63,63 @@ class ExtractionService {
 
     const raw3BData = {};
     const shouldExtractAll = sections.includes('all');
+    const requestedSections = ALL_SECTIONS.filter(section => shouldExtractAll || sections.includes(section));
+
+    // Progreso por sección (un callback que falla no interrumpe la extracción)
+    let completedSections = 0;
+    const notify = (section, status, error = null) => {
+      if (status !== 'started') {
+        completedSections++;
+      }
+
+      try {
+        onProgress?.({
+          section,
+          status,
+          empty: status === 'completed' ? this.findEmptySections(raw3BData, [section]).length > 0 : null,
+          completed: completedSections,
+          total: requestedSections.length,
+          error,
+        });
+      } catch (callbackError) {
+        console.error('  ⚠ Error en onProgress:', callbackError.message);
+      }
+    };
 
     // Extraer Credit Scores (3 burós)
     if (shouldExtractAll || sections.includes('scores')) {
       try {
+        notify('scores', 'started');
         console.log('\n→ Extrayendo Credit Scores...');
         raw3BData.scores = await this.extractScores(page);
         console.log('  ✓ Credit Scores extraídos');
+        notify('scores', 'completed');
       } catch (error) {
         console.error('  ❌ Error extrayendo Credit Scores:', error.message);
         raw3BData.scores = null;
+        notify('scores', 'failed', error.message);
       }
     }
 
     // Extraer Personal Information
     if (shouldExtractAll || sections.includes('personalInfo')) {
       try {
+        notify('personalInfo', 'started');
         console.log('\n→ Extrayendo Personal Information...');
         raw3BData.personalInfo = await extractGridData(page, this.extractorConfig.personalInfo);
         console.log('  ✓ Personal Information extraída');
+        notify('personalInfo', 'completed');
       } catch (error) {
         console.error('  ❌ Error extrayendo Personal Information:', error.message);
         raw3BData.personalInfo = null;
+        notify('personalInfo', 'failed', error.message);
       }
     }
 
     // Extraer Summary
     if (shouldExtractAll || sections.includes('summary')) {
       try {
+        notify('summary', 'started');
         console.log('\n→ Extrayendo Summary...');
         raw3BData.summary = await extractGridData(page, this.extractorConfig.summary);
         console.log('  ✓ Summary extraído');
@@ -99,19 +144,23 @@ class ExtractionService {
           };
           console.log('  ✓ Campos adicionales de Summary extraídos');
         }
+        notify('summary', 'completed');
       } catch (error) {
         console.error('  ❌ Error extrayendo Summary:', error.message);
         raw3BData.summary = null;
+        notify('summary', 'failed', error.message);
       }
     }
 
     // Extraer Account History (NUEVO)
     if (shouldExtractAll || sections.includes('accountHistory')) {
       try {
+        notify('accountHistory', 'started');
         console.log('\n→ Extrayendo Account History...');
 
-        // Verificar si se solicitó paginación
-        const usePagination = accountHistoryOptions.limit !== undefined;
+        // Verificar si se solicitó paginación, filtros o solo el conteo
+        const { limit, offset, accountType, name, countOnly } = accountHistoryOptions;
+        const usePagination = [limit, offset, accountType, name].some(value => value !== undefined) || Boolean(countOnly);
 
         if (usePagination) {
           const paginatedResult = await extractAccountHistoryPaginated(
@@ -125,7 +174,10 @@ class ExtractionService {
             total: paginatedResult.total,
             limit: paginatedResult.limit,
             offset: paginatedResult.offset,
-            hasMore: paginatedResult.hasMore
+            hasMore: paginatedResult.hasMore,
+            accountType: accountType || null,
+            name: name || null,
+            countOnly: Boolean(countOnly)
           };
 
           console.log(`  ✓ Account History extraído (${paginatedResult.accounts.length}/${paginatedResult.total} cuentas)`);
@@ -138,51 +190,74 @@ class ExtractionService {
           console.log(`  ✓ Account History extraído (${raw3BData.accountHistory.length} cuentas)`);
         }
 
+        notify('accountHistory', 'completed');
       } catch (error) {
         console.error('  ❌ Error extrayendo Account History:', error.message);
         raw3BData.accountHistory = [];
+        notify('accountHistory', 'failed', error.message);
       }
     }
 
     // Extraer Public Records (NUEVO - Placeholder)
     if (shouldExtractAll || sections.includes('publicRecords')) {
       try {
+        notify('publicRecords', 'started');
         console.log('\n→ Extrayendo Public Records...');
         raw3BData.publicRecords = await this.extractPublicRecords(page);
         console.log('  ✓ Public Records extraídos');
+        notify('publicRecords', 'completed');
       } catch (error) {
         console.error('  ❌ Error extrayendo Public Records:', error.message);
         raw3BData.publicRecords = null;
+        notify('publicRecords', 'failed', error.message);
       }
     }
 
     // Extraer Inquiries (NUEVO - Placeholder)
     if (shouldExtractAll || sections.includes('inquiries')) {
       try {
+        notify('inquiries', 'started');
         console.log('\n→ Extrayendo Inquiries...');
         raw3BData.inquiries = await this.extractInquiries(page);
         console.log('  ✓ Inquiries extraídas');
+        notify('inquiries', 'completed');
       } catch (error) {
         console.error('  ❌ Error extrayendo Inquiries:', error.message);
         raw3BData.inquiries = null;
+        notify('inquiries', 'failed', error.message);
       }
     }
 
     // Extraer Creditor Contacts (NUEVO)
     if (shouldExtractAll || sections.includes('creditorContacts')) {
       try {
+        notify('creditorContacts', 'started');
         console.log('\n→ Extrayendo Creditor Contacts...');
         raw3BData.creditorContacts = await extractCreditorContacts(
           page,
           this.extractorConfig.creditorContacts
         );
         console.log('  ✓ Creditor Contacts extraídos');
+        notify('creditorContacts', 'completed');
       } catch (error) {
         console.error('  ❌ Error extrayendo Creditor Contacts:', error.message);
         raw3BData.creditorContacts = [];
+        notify('creditorContacts', 'failed', error.message);
       }
     }
 
+    // Los extractores atrapan sus propios errores: si el navegador murió, todas
+    // las secciones vienen vacías y el problema real no es el HTML
+    if (page.isClosed() || !page.browser().connected) {
+      throw new BrowserCrashError('El navegador se cerró durante la extracción', { stage: 'extraction' });
+    }
+
+    const emptySections = this.findEmptySections(raw3BData, requestedSections);
+
+    if (emptySections.length === requestedSections.length) {
+      throw new ExtractionIncompleteError(emptySections);
+    }
+
     console.log('\n========================================');
     console.log('  EXTRACCIÓN COMPLETADA');
     console.log('========================================\n');
@@ -190,6 +265,79 @@ class ExtractionService {
     return raw3BData;
   }
 
+  /**
+   * Secciones solicitadas que el extractor devolvió vacías
+   * Los extractores no lanzan errores: una sección vacía suele indicar un cambio en el HTML
+   *
+   * @param {object} raw3BData - Datos crudos de extractAll3BReport
+   * @param {Array<string>} sections - Secciones solicitadas
+   * @returns {Array<string>} Secciones vacías
+   */
+  findEmptySections(raw3BData, sections) {
+    return sections.filter(section => {
+      // Con countOnly, filtros u offset Account History puede venir sin cuentas aunque existan
+      if (section === 'accountHistory' && raw3BData.accountHistoryPagination?.total > 0) {
+        return false;
+      }
+
+      return this.isEmptyValue(raw3BData[section]);
+    });
+  }
+
+  /**
+   * null, undefined, [] o un objeto cuyos valores están todos vacíos
+   * (p. ej. inquiries { count: null, details: [] } o scores sin ningún buró)
+   *
+   * @param {*} value - Valor extraído
+   * @returns {boolean}
+   */
+  isEmptyValue(value) {
+    if (value === null || value === undefined) {
+      return true;
+    }
+
+    if (Array.isArray(value)) {
+      return value.length === 0;
+    }
+
+    if (typeof value === 'object') {
+      return Object.values(value).every(nested => this.isEmptyValue(nested));
+    }
+
+    return false;
+  }
+
+  /**
+   * Extrae los scores del dashboard (ScoreTracker, ScoreBuilder, ScoreBoost, Future Score)
+   * Debe llamarse en /member/, justo después del login y antes de navegar al 3B Report
+   *
+   * @param {object} page - Instancia de Puppeteer page
+   * @returns {Promise<object|null>} dashboardScores para reportBuilder (rawData.dashboardScores)
+   */
+  async extractDashboard(page) {
+    return extractDashboardScores(page, this.extractorConfig.dashboard);
+  }
+
+  /**
+   * Extrae el 3B Report desde un snapshot HTML guardado (sin login en SmartCredit)
+   * Útil para reproducir bugs de extracción con el HTML de output/page_3b_debug.html
+   *
+   * @param {object} browser - Instancia de Puppeteer browser
+   * @param {string} snapshotPath - Ruta al archivo .html del 3B Report
+   * @param {object} options - Mismas opciones que extractAll3BReport + { mode: 'file' | 'content' }
+   * @returns {Promise<object>} Objeto con todas las secciones extraídas
+   */
+  async extractFromSnapshot(browser, snapshotPath, options = {}) {
+    const { mode, ...extractionOptions } = options;
+    const page = await openSnapshotPage(browser, snapshotPath, { mode });
+
+    try {
+      return await this.extractAll3BReport(page, extractionOptions);
+    } finally {
+      await page.close().catch(() => {});
+    }
+  }
+
   /**
    * Extrae los Credit Scores (scores de los 3 burós)
    * Esta función replica la lógica existente en scraper.js/server.js
@@ -243,14 +391,16 @@ class ExtractionService {
   }
 
   /**
-   * Extrae Public Records (FASE 4)
-   * Retorna el conteo de Public Records por buró desde la sección Summary
+   * Extrae Public Records (ACTUALIZADO)
+   * Retorna tanto el conteo por buró como los detalles de cada registro
+   * (bankruptcies, judgments, liens) con sus campos por buró
    *
    * @param {object} page - Instancia de Puppeteer page
-   * @returns {Promise<object>} Datos de public records por buró
+   * @returns {Promise<object>} { count: { transunion, experian, equifax }, details: [...] }
    */
   async extractPublicRecords(page) {
     try {
+      // Extraer el conteo de Public Records desde Summary
       const publicRecordsCount = await page.evaluate(() => {
         // Buscar en la sección Summary, fila "Public Records:"
         const sections = document.querySelectorAll('section.mt-5');
@@ -287,11 +437,24 @@ class ExtractionService {
         };
       });
 
-      return publicRecordsCount;
+      // Extraer los detalles de cada registro individual
+      const publicRecordsDetails = await extractPublicRecordsDetails(
+        page,
+        this.extractorConfig.publicRecords
+      );
+
+      // Sin grid de Summary, el conteo sale de los registros detallados
+      return {
+        count: publicRecordsCount || countPublicRecords(publicRecordsDetails),
+        details: publicRecordsDetails
+      };
 
     } catch (error) {
       console.error('Error extrayendo Public Records:', error.message);
-      return null;
+      return {
+        count: null,
+        details: []
+      };
     }
   }
 
@@ -0,0 +1,259 @@
+/**
+ * Letter Service - Genera cartas de disputa a partir de un CreditReport guardado
+ *
+ * Toma cuentas/inquiries seleccionados del reporte, el nombre y dirección del
+ * consumidor (personal_information) y un buró, y renderiza una plantilla
+ * editable de templates/letters/*.txt a texto plano o PDF.
+ *
+ * Sintaxis de las plantillas:
+ *   {{campo}}                      → merge field (consumer_name, bureau_name, date...)
+ *   {{#items}} ... {{/items}}      → bloque repetido por cada item seleccionado
+ *                                    (account_name, account_number, creditor_name,
+ *                                     creditor_address, creditor_phone, inquiry_date,
+ *                                     item_reference, reason)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const bureaus = require('../config/bureaus');
+const negativeItemClassifier = require('./negative-item-classifier');
+
+const TEMPLATES_DIR = path.resolve(process.env.LETTER_TEMPLATES_DIR || path.join(__dirname, '..', 'templates', 'letters'));
+
+const DEFAULT_TEMPLATE = 'inaccurate-information';
+const DEFAULT_REASON = 'This information is inaccurate and cannot be verified.';
+
+/**
+ * Clase principal del servicio de cartas
+ */
+class LetterService {
+  /**
+   * Lista las plantillas disponibles (archivos .txt del directorio de plantillas)
+   *
+   * @returns {Array<string>} Nombres de plantillas sin extensión
+   */
+  listTemplates() {
+    if (!fs.existsSync(TEMPLATES_DIR)) {
+      return [];
+    }
+
+    return fs.readdirSync(TEMPLATES_DIR)
+      .filter(file => file.endsWith('.txt'))
+      .map(file => path.basename(file, '.txt'));
+  }
+
+  /**
+   * Genera una carta de disputa
+   *
+   * @param {object} reportData - reportData del CreditReport
+   * @param {object} options - Opciones de la carta
+   * @param {string} options.bureau - 'transunion' | 'experian' | 'equifax'
+   * @param {string} options.template - Nombre de la plantilla (default: inaccurate-information)
+   * @param {Array<object>} options.accounts - [{ index, reason }] (index en account_history)
+   * @param {Array<object>} options.inquiries - [{ index, reason }] (index en inquiries.details)
+   * @param {string} options.reason - Motivo por defecto para los items sin reason
+   * @returns {object} { bureau, template, data, text }
+   */
+  generate(reportData, options = {}) {
+    const {
+      bureau,
+      template = DEFAULT_TEMPLATE,
+      accounts = [],
+      inquiries = [],
+      reason = DEFAULT_REASON
+    } = options;
+
+    // hasOwn: "toString", "constructor"... no son burós
+    if (typeof bureau !== 'string' || !Object.hasOwn(bureaus, bureau)) {
+      throw new Error(`Invalid bureau: ${bureau}. Allowed: ${Object.keys(bureaus).join(', ')}`);
+    }
+
+    if (!this.listTemplates().includes(template)) {
+      throw new Error(`Letter template not found: ${template}`);
+    }
+
+    const items = [
+      ...accounts.map(selection => this.buildAccountItem(reportData, bureau, selection, reason)),
+      ...inquiries.map(selection => this.buildInquiryItem(reportData, bureau, selection, reason))
+    ];
+
+    if (items.length === 0) {
+      throw new Error('At least one account or inquiry must be selected');
+    }
+
+    const data = {
+      ...this.buildConsumerFields(reportData, bureau),
+      ...this.buildBureauFields(bureau),
+      date: new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }),
+      items
+    };
+
+    const text = this.render(this.loadTemplate(template), data);
+
+    return { bureau, template, data, text };
+  }
+
+  /**
+   * Renderiza una plantilla con los merge fields
+   *
+   * @param {string} template - Contenido de la plantilla
+   * @param {object} data - Merge fields (items = array para el bloque {{#items}})
+   * @returns {string} Texto final
+   */
+  render(template, data) {
+    const withItems = template.replace(/\{\{#items\}\}\n?([\s\S]*?)\{\{\/items\}\}\n?/g, (match, block) => {
+      return (data.items || []).map(item => this.replaceFields(block, { ...data, ...item })).join('');
+    });
+
+    return this.replaceFields(withItems, data);
+  }
+
+  /**
+   * Reemplaza {{campo}} por su valor (campos desconocidos quedan vacíos)
+   *
+   * @param {string} text - Texto con merge fields
+   * @param {object} fields - Valores
+   * @returns {string}
+   */
+  replaceFields(text, fields) {
+    return text.replace(/\{\{\s*([a-z_]+)\s*\}\}/gi, (match, name) => {
+      const value = fields[name];
+      return value === null || value === undefined || typeof value === 'object' ? '' : String(value);
+    });
+  }
+
+  /**
+   * Convierte el texto de una carta a PDF
+   *
+   * @param {string} text - Texto de la carta
+   * @returns {Promise<Buffer>} PDF generado
+   */
+  renderPdf(text) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'LETTER', margin: 72 });
+      const chunks = [];
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      doc.font('Helvetica').fontSize(11).text(text, { lineGap: 2 });
+      doc.end();
+    });
+  }
+
+  /**
+   * Carga el contenido de una plantilla
+   *
+   * @param {string} name - Nombre de la plantilla sin extensión
+   * @returns {string}
+   */
+  loadTemplate(name) {
+    return fs.readFileSync(path.join(TEMPLATES_DIR, `${path.basename(name)}.txt`), 'utf-8');
+  }
+
+  /**
+   * Nombre y dirección del consumidor desde personal_information
+   * Usa el buró destino y, si no tiene datos, cualquiera de los otros
+   *
+   * @param {object} reportData - reportData del CreditReport
+   * @param {string} bureau - Buró destino
+   * @returns {object} { consumer_name, consumer_address }
+   */
+  buildConsumerFields(reportData, bureau) {
+    const personalInfo = reportData?.personal_information || {};
+    const candidates = [personalInfo[bureau], ...Object.values(personalInfo)].filter(Boolean);
+
+    const pick = (field) => candidates.map(info => info[field]).find(value => value) || null;
+
+    return {
+      consumer_name: pick('name'),
+      consumer_address: pick('current_address')
+    };
+  }
+
+  /**
+   * Datos del buró destino (config/bureaus.js)
+   *
+   * @param {string} bureau - Buró destino
+   * @returns {object} { bureau_name, bureau_department, bureau_address }
+   */
+  buildBureauFields(bureau) {
+    const info = bureaus[bureau];
+
+    return {
+      bureau_name: info.name,
+      bureau_department: info.department,
+      bureau_address: info.address.join('\n')
+    };
+  }
+
+  /**
+   * Item de carta para una cuenta de account_history
+   *
+   * @param {object} reportData - reportData del CreditReport
+   * @param {string} bureau - Buró destino (define el account_number a usar)
+   * @param {object} selection - { index, reason }
+   * @param {string} defaultReason - Motivo por defecto
+   * @returns {object} Item con merge fields
+   */
+  buildAccountItem(reportData, bureau, selection, defaultReason) {
+    const account = reportData?.account_history?.[selection.index];
+
+    if (!account) {
+      throw new Error(`Account not found at index ${selection.index}`);
+    }
+
+    const accountNumber = account[bureau]?.account_number || 'Unknown';
+
+    return {
+      item_type: 'account',
+      account_name: account.account_name,
+      creditor_name: account.account_name,
+      creditor_address: account.creditor_contact?.address ?? null,
+      creditor_phone: account.creditor_contact?.phone ?? null,
+      account_number: accountNumber,
+      inquiry_date: null,
+      item_reference: `Account #${accountNumber}`,
+      reason: selection.reason || defaultReason
+    };
+  }
+
+  /**
+   * Item de carta para un inquiry de inquiries.details
+   * Cada inquiry es de un solo buró: solo se puede disputar ante ese buró
+   *
+   * @param {object} reportData - reportData del CreditReport
+   * @param {string} bureau - Buró destino
+   * @param {object} selection - { index, reason }
+   * @param {string} defaultReason - Motivo por defecto
+   * @returns {object} Item con merge fields
+   */
+  buildInquiryItem(reportData, bureau, selection, defaultReason) {
+    const inquiry = reportData?.inquiries?.details?.[selection.index];
+
+    if (!inquiry) {
+      throw new Error(`Inquiry not found at index ${selection.index}`);
+    }
+
+    if (negativeItemClassifier.normalizeBureau(inquiry.credit_bureau) !== bureau) {
+      throw new Error(`Inquiry at index ${selection.index} is reported by ${inquiry.credit_bureau || 'an unknown bureau'}, not ${bureau}`);
+    }
+
+    return {
+      item_type: 'inquiry',
+      account_name: inquiry.creditor_name,
+      creditor_name: inquiry.creditor_name,
+      creditor_address: null,
+      creditor_phone: null,
+      account_number: null,
+      inquiry_date: inquiry.inquiry_date,
+      item_reference: `Inquiry date: ${inquiry.inquiry_date || 'Unknown'}`,
+      reason: selection.reason || defaultReason
+    };
+  }
+}
+
+// Exportar instancia singleton del servicio
+module.exports = new LetterService();
@@ -0,0 +1,379 @@
+/**
+ * Negative Item Classifier - Motor de reglas sobre el reporte construido
+ *
+ * Recorre account_history (payment_status, account_rating, creditor_remarks,
+ * payment_history, days_late), public_records e inquiries y produce una lista
+ * normalizada de items negativos para el trabajo de disputas:
+ *
+ *   { type, bureau, severity, source: {...}, evidence: [{ field, value }] }
+ *
+ * Tipos: late_payment, collection, charge_off, repossession, foreclosure,
+ *        bankruptcy, public_record, hard_inquiry
+ * Severidad: high | medium | low
+ */
+
+const BUREAUS = ['transunion', 'experian', 'equifax'];
+
+// Campos de texto de cada cuenta que se revisan con las reglas
+const TEXT_FIELDS = ['payment_status', 'account_rating', 'account_status', 'creditor_remarks'];
+
+// Reglas sobre texto libre (el orden define prioridad)
+const TEXT_RULES = [
+  { type: 'bankruptcy', pattern: /bankrupt|chapter\s*(7|11|13)/i },
+  { type: 'repossession', pattern: /repo(ssess|ssion|\b)/i },
+  { type: 'foreclosure', pattern: /foreclos/i },
+  { type: 'charge_off', pattern: /charge[\s-]?off|charged[\s-]off|\bco\b/i },
+  { type: 'collection', pattern: /collection/i },
+  {
+    type: 'late_payment',
+    pattern: /\blate\b|past\s*due|delinquen|\b(30|60|90|120|150|180)\s*days?/i,
+    exclude: /never\s+late|not\s+late|paid\s+as\s+agreed/i
+  }
+];
+
+// Códigos de payment_history (clase status-X del badge mensual)
+const PAYMENT_HISTORY_CODES = {
+  1: { type: 'late_payment', days: 30 },
+  2: { type: 'late_payment', days: 60 },
+  3: { type: 'late_payment', days: 90 },
+  4: { type: 'late_payment', days: 120 },
+  5: { type: 'late_payment', days: 150 },
+  6: { type: 'late_payment', days: 180 },
+  7: { type: 'bankruptcy' },
+  8: { type: 'repossession' },
+  9: { type: 'collection' }
+};
+
+// Campos de cada Public Record que se incluyen como evidencia
+const PUBLIC_RECORD_FIELDS = ['record_type', 'filing_date', 'status', 'court', 'case_number', 'amount'];
+
+const HIGH_SEVERITY_TYPES = ['bankruptcy', 'repossession', 'foreclosure', 'charge_off', 'collection', 'public_record'];
+
+/**
+ * Clase principal del clasificador
+ */
+class NegativeItemClassifier {
+  /**
+   * Clasifica todos los items negativos del reporte
+   *
+   * @param {object} report - Reporte construido por reportBuilder.buildFullReport
+   * @returns {object} { total, by_type, by_bureau, items: [...] }
+   */
+  classify(report) {
+    if (!report) {
+      return this.summarize([]);
+    }
+
+    const items = [
+      ...this.classifyAccounts(report.account_history),
+      ...this.classifyPublicRecords(report.public_records),
+      ...this.classifyInquiries(report.inquiries)
+    ];
+
+    return this.summarize(items);
+  }
+
+  /**
+   * Clasifica las cuentas del Account History
+   * Un item por (cuenta, buró, tipo); la evidencia de varias reglas se agrupa
+   *
+   * @param {Array<object>} accountHistory - account_history del reporte
+   * @returns {Array<object>} Items negativos
+   */
+  classifyAccounts(accountHistory) {
+    if (!Array.isArray(accountHistory)) {
+      return [];
+    }
+
+    const items = new Map();
+
+    const addEvidence = (account, index, bureau, type, evidence, days = null) => {
+      const key = `${index}:${bureau}:${type}`;
+
+      if (!items.has(key)) {
+        items.set(key, {
+          type,
+          bureau,
+          severity: null,
+          source: {
+            section: 'account_history',
+            account_index: index,
+            account_name: account.account_name ?? null,
+            account_number: account[bureau]?.account_number ?? null
+          },
+          max_days_late: null,
+          evidence: []
+        });
+      }
+
+      const item = items.get(key);
+      item.evidence.push(evidence);
+
+      if (days !== null) {
+        item.max_days_late = Math.max(item.max_days_late || 0, days);
+      }
+    };
+
+    accountHistory.forEach((account, index) => {
+      BUREAUS.forEach(bureau => {
+        const fields = account[bureau];
+
+        // Reglas de texto sobre los campos de status/remarks
+        if (fields) {
+          TEXT_FIELDS.forEach(field => {
+            const value = fields[field];
+            const rule = value
+              ? TEXT_RULES.find(r => r.pattern.test(value) && !(r.exclude && r.exclude.test(value)))
+              : null;
+
+            if (rule) {
+              addEvidence(account, index, bureau, rule.type, { field, value }, this.parseDays(value));
+            }
+          });
+        }
+
+        // Códigos mensuales del Payment History
+        const months = account.payment_history?.[bureau];
+
+        if (Array.isArray(months)) {
+          months.forEach(month => {
+            const code = this.paymentHistoryCode(month);
+
+            if (code) {
+              addEvidence(
+                account,
+                index,
+                bureau,
+                code.type,
+                { field: 'payment_history', value: month.status || month.status_class, month: month.month },
+                code.days ?? null
+              );
+            }
+          });
+        }
+
+        // Contadores 30/60/90 de Days Late (7 años)
+        const daysLate = account.days_late?.[bureau];
+
+        if (daysLate) {
+          ['30', '60', '90'].forEach(days => {
+            const count = parseInt(daysLate[days], 10) || 0;
+
+            if (count > 0) {
+              addEvidence(
+                account,
+                index,
+                bureau,
+                'late_payment',
+                { field: `days_late_${days}`, value: count },
+                parseInt(days, 10)
+              );
+            }
+          });
+        }
+      });
+    });
+
+    return Array.from(items.values()).map(item => {
+      const { max_days_late: maxDaysLate, ...rest } = item;
+
+      if (rest.type !== 'late_payment') {
+        return { ...rest, severity: this.severityFor(rest.type) };
+      }
+
+      return { ...rest, days_late: maxDaysLate, severity: this.severityFor(rest.type, maxDaysLate) };
+    });
+  }
+
+  /**
+   * Clasifica Public Records
+   * Un item por (registro, buró) con sus campos como evidencia; bankruptcies se
+   * clasifican como 'bankruptcy'. Los burós que solo tienen conteo (reportes
+   * anteriores con { transunion, experian, equifax } o registros sin detalle)
+   * producen un item con el conteo.
+   *
+   * @param {object} publicRecords - public_records del reporte { count, details: [...] }
+   * @returns {Array<object>} Items negativos
+   */
+  classifyPublicRecords(publicRecords) {
+    if (!publicRecords) {
+      return [];
+    }
+
+    const count = publicRecords.count !== undefined ? publicRecords.count || {} : publicRecords;
+    const details = Array.isArray(publicRecords.details) ? publicRecords.details : [];
+    const bankruptcyRule = TEXT_RULES.find(rule => rule.type === 'bankruptcy');
+    const items = [];
+
+    details.forEach((record, index) => {
+      BUREAUS.forEach(bureau => {
+        const data = record[bureau];
+
+        if (!data) {
+          return;
+        }
+
+        const recordType = data.record_type || record.record_name;
+        const type = bankruptcyRule.pattern.test(recordType || '') ? 'bankruptcy' : 'public_record';
+
+        items.push({
+          type,
+          bureau,
+          severity: this.severityFor(type),
+          source: {
+            section: 'public_records',
+            record_index: index,
+            record_name: record.record_name ?? null
+          },
+          evidence: PUBLIC_RECORD_FIELDS
+            .filter(field => data[field])
+            .map(field => ({ field, value: data[field] }))
+        });
+      });
+    });
+
+    BUREAUS.forEach(bureau => {
+      const total = parseInt(count[bureau], 10) || 0;
+      const detailed = items.filter(item => item.bureau === bureau).length;
+
+      if (total > detailed) {
+        items.push({
+          type: 'public_record',
+          bureau,
+          severity: this.severityFor('public_record'),
+          source: { section: 'public_records' },
+          evidence: [{ field: 'count', value: total }]
+        });
+      }
+    });
+
+    return items;
+  }
+
+  /**
+   * Clasifica Inquiries (cada inquiry detallado es un hard inquiry)
+   *
+   * @param {object} inquiries - inquiries del reporte { count, details: [...] }
+   * @returns {Array<object>} Items negativos
+   */
+  classifyInquiries(inquiries) {
+    if (!inquiries || !Array.isArray(inquiries.details)) {
+      return [];
+    }
+
+    return inquiries.details.map((inquiry, index) => ({
+      type: 'hard_inquiry',
+      bureau: this.normalizeBureau(inquiry.credit_bureau),
+      severity: this.severityFor('hard_inquiry'),
+      source: {
+        section: 'inquiries',
+        inquiry_index: index,
+        creditor_name: inquiry.creditor_name ?? null,
+        inquiry_date: inquiry.inquiry_date ?? null
+      },
+      evidence: [{ field: 'credit_bureau', value: inquiry.credit_bureau ?? null }]
+    }));
+  }
+
+  /**
+   * Severidad de un tipo de item
+   *
+   * @param {string} type - Tipo de item
+   * @param {number|null} daysLate - Días de atraso máximos (solo late_payment)
+   * @returns {string} 'high' | 'medium' | 'low'
+   */
+  severityFor(type, daysLate = null) {
+    if (HIGH_SEVERITY_TYPES.includes(type)) {
+      return 'high';
+    }
+
+    if (type === 'late_payment') {
+      return daysLate !== null && daysLate >= 90 ? 'high' : 'medium';
+    }
+
+    return 'low';
+  }
+
+  /**
+   * Código negativo de un mes del Payment History (clase status-X o texto del badge)
+   *
+   * @param {object} month - { month, status, status_class }
+   * @returns {object|null} { type, days } o null si es un mes sin atraso
+   */
+  paymentHistoryCode(month) {
+    return PAYMENT_HISTORY_CODES[month?.status_class] || this.codeFromBadge(month?.status);
+  }
+
+  /**
+   * Traduce el texto del badge mensual ("30", "60", "CO"...) a un código
+   *
+   * @param {string} badge - Texto del badge
+   * @returns {object|null} { type, days } o null si es un mes sin atraso
+   */
+  codeFromBadge(badge) {
+    const text = (badge || '').trim().toUpperCase();
+
+    if (/^\d+$/.test(text) && parseInt(text, 10) >= 30) {
+      return { type: 'late_payment', days: parseInt(text, 10) };
+    }
+
+    if (text === 'CO') {
+      return { type: 'charge_off' };
+    }
+
+    if (text === 'RF' || text === 'VS') {
+      return { type: 'repossession' };
+    }
+
+    return null;
+  }
+
+  /**
+   * Extrae días de atraso de un texto ("Late 60 Days" -> 60)
+   *
+   * @param {string} text - Texto del campo
+   * @returns {number|null}
+   */
+  parseDays(text) {
+    const match = String(text).match(/\b(30|60|90|120|150|180)\b/);
+    return match ? parseInt(match[1], 10) : null;
+  }
+
+  /**
+   * Normaliza el nombre de buró ("TransUnion" -> "transunion")
+   *
+   * @param {string} bureau - Nombre del buró tal como aparece en el reporte
+   * @returns {string|null}
+   */
+  normalizeBureau(bureau) {
+    const text = (bureau || '').toLowerCase();
+    return BUREAUS.find(b => text.includes(b)) || null;
+  }
+
+  /**
+   * Agrega conteos por tipo y buró
+   *
+   * @param {Array<object>} items - Items negativos
+   * @returns {object} { total, by_type, by_bureau, items }
+   */
+  summarize(items) {
+    const byType = {};
+    const byBureau = {};
+
+    items.forEach(item => {
+      byType[item.type] = (byType[item.type] || 0) + 1;
+      const bureau = item.bureau || 'unknown';
+      byBureau[bureau] = (byBureau[bureau] || 0) + 1;
+    });
+
+    return {
+      total: items.length,
+      by_type: byType,
+      by_bureau: byBureau,
+      items
+    };
+  }
+}
+
+// Exportar instancia singleton del clasificador
+module.exports = new NegativeItemClassifier();
@@ -0,0 +1,122 @@
+/**
+ * Notification Channels - Canales de entrega de alertas
+ *
+ * Cada canal implementa:
+ *   name           → identificador guardado en alert.deliveries
+ *   isEnabled()    → true si está configurado (variables de entorno)
+ *   send(alerts, user) → entrega un lote de alertas; lanza error si falla
+ *
+ * Canales incluidos:
+ * - WebhookChannel: POST JSON a ALERT_WEBHOOK_URL (firma HMAC opcional)
+ * - EmailChannel: email por SMTP (SMTP_HOST, SMTP_PORT...) con nodemailer
+ *
+ * Ambos funcionan contra servicios locales de prueba (un servidor HTTP
+ * cualquiera para el webhook, MailHog/smtp4dev para SMTP).
+ */
+
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+const WEBHOOK_TIMEOUT = 10000;
+
+/**
+ * Entrega de alertas por webhook HTTP
+ */
+class WebhookChannel {
+  constructor() {
+    this.name = 'webhook';
+  }
+
+  isEnabled() {
+    return !!process.env.ALERT_WEBHOOK_URL;
+  }
+
+  /**
+   * @param {Array<object>} alerts - Alertas (getSummary) del mismo reporte
+   * @param {object} user - Usuario dueño de las alertas
+   */
+  async send(alerts, user) {
+    const body = JSON.stringify({
+      event: 'credit_report.alerts',
+      userId: user._id,
+      email: user.email,
+      alerts
+    });
+
+    const headers = { 'Content-Type': 'application/json' };
+
+    // Firma para que el receptor pueda validar el origen
+    if (process.env.ALERT_WEBHOOK_SECRET) {
+      headers['X-Alert-Signature'] = crypto
+        .createHmac('sha256', process.env.ALERT_WEBHOOK_SECRET)
+        .update(body)
+        .digest('hex');
+    }
+
+    const response = await fetch(process.env.ALERT_WEBHOOK_URL, {
+      method: 'POST',
+      headers,
+      body,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Webhook responded with HTTP ${response.status}`);
+    }
+  }
+}
+
+/**
+ * Entrega de alertas por email (SMTP)
+ */
+class EmailChannel {
+  constructor() {
+    this.name = 'email';
+    this.transporter = null;
+  }
+
+  isEnabled() {
+    return !!process.env.SMTP_HOST;
+  }
+
+  /**
+   * Crea el transporter SMTP la primera vez que se usa
+   */
+  getTransporter() {
+    if (!this.transporter) {
+      this.transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+          : undefined
+      });
+    }
+
+    return this.transporter;
+  }
+
+  /**
+   * @param {Array<object>} alerts - Alertas (getSummary) del mismo reporte
+   * @param {object} user - Usuario dueño de las alertas
+   */
+  async send(alerts, user) {
+    const lines = alerts.map(alert => `- ${alert.message}`);
+
+    await this.getTransporter().sendMail({
+      from: process.env.ALERT_EMAIL_FROM || 'alerts@localhost',
+      to: user.email,
+      subject: `Credit report alert: ${alerts.length} change(s) detected`,
+      text: [
+        'We detected the following changes in your latest credit report:',
+        '',
+        ...lines,
+        '',
+        'Log in to review the full report.'
+      ].join('\n')
+    });
+  }
+}
+
+module.exports = { WebhookChannel, EmailChannel };
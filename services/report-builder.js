@@ -12,6 +12,8 @@
  */
 
 const parser = require('../utils/parser');
+const discrepancyAnalyzer = require('./discrepancy-analyzer');
+const negativeItemClassifier = require('./negative-item-classifier');
 
 /**
  * Clase principal del Report Builder
@@ -67,12 +69,27 @@ class ReportBuilder {
         : null,
 
       // Creditor Contacts (NUEVO - Fase 4)
-      creditor_contacts: rawData.creditorContacts || null,
+      creditor_contacts: rawData.creditorContacts
+        ? this.parseCreditorContacts(rawData.creditorContacts)
+        : null,
 
       // Metadata
       scraped_at: new Date().toISOString()
     };
 
+    // Dirección y teléfono del acreedor en cada cuenta (cartas de goodwill/validación)
+    if (report.account_history && report.creditor_contacts) {
+      report.account_history = this.linkCreditorContacts(report.account_history, report.creditor_contacts);
+    }
+
+    // Discrepancias entre burós por cuenta (base para disputas)
+    report.discrepancies = report.account_history
+      ? discrepancyAnalyzer.analyzeAccounts(report.account_history)
+      : null;
+
+    // Items negativos (late payments, collections, charge-offs, inquiries...)
+    report.negative_items = negativeItemClassifier.classify(report);
+
     // Agregar metadata de paginación si existe
     if (rawData.accountHistoryPagination) {
       report.account_history_pagination = rawData.accountHistoryPagination;
@@ -190,6 +207,66 @@ class ReportBuilder {
     };
   }
 
+  /**
+   * Parsea los Creditor Contacts
+   *
+   * @param {Array<object>} rawContacts - [{ creditor_name, address, phone }]
+   * @returns {Array<object>} Contactos parseados
+   */
+  parseCreditorContacts(rawContacts) {
+    if (!Array.isArray(rawContacts)) {
+      return [];
+    }
+
+    return rawContacts.map(contact => ({
+      creditor_name: this.cleanText(contact.creditor_name),
+      address: this.cleanText(contact.address),
+      phone: this.cleanText(contact.phone)
+    }));
+  }
+
+  /**
+   * Agrega a cada cuenta el contacto de su acreedor (creditor_contact)
+   * Se enlazan por nombre normalizado; las cuentas sin contacto quedan en null
+   *
+   * @param {Array<object>} accounts - account_history parseado
+   * @param {Array<object>} contacts - creditor_contacts parseados
+   * @returns {Array<object>} Cuentas con creditor_contact
+   */
+  linkCreditorContacts(accounts, contacts) {
+    const byName = new Map();
+
+    contacts.forEach(contact => {
+      const key = this.normalizeCreditorName(contact.creditor_name);
+
+      // Si un acreedor aparece repetido, se conserva el primero con datos
+      if (key && !byName.has(key) && (contact.address || contact.phone)) {
+        byName.set(key, contact);
+      }
+    });
+
+    return accounts.map(account => {
+      const contact = byName.get(this.normalizeCreditorName(account.account_name));
+
+      return {
+        ...account,
+        creditor_contact: contact
+          ? { address: contact.address, phone: contact.phone }
+          : null
+      };
+    });
+  }
+
+  /**
+   * Normaliza nombres de acreedores para enlazarlos ("Capital One, N.A." -> "capitalonena")
+   *
+   * @param {string|null} name - Nombre original
+   * @returns {string}
+   */
+  normalizeCreditorName(name) {
+    return String(name ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
   /**
    * Limpia texto eliminando espacios extra y caracteres no deseados
    * (Reutiliza lógica del parser existente)
@@ -240,6 +317,8 @@ class ReportBuilder {
     console.log(`  Public Records: ${report.public_records ? '✓' : '✗'}`);
     console.log(`  Inquiries: ${report.inquiries ? `✓ (${report.inquiries.details?.length || 0} detallados)` : '✗'}`);
     console.log(`  Creditor Contacts: ${report.creditor_contacts ? `✓ (${report.creditor_contacts.length} contactos)` : '✗'}`);
+    console.log(`  Negative Items: ${report.negative_items ? `✓ (${report.negative_items.total} items)` : '✗'}`);
+    console.log(`  Discrepancies: ${report.discrepancies ? `✓ (${report.discrepancies.total} en ${report.discrepancies.accounts_with_discrepancies} cuentas)` : '✗'}`);
 
     if (report.account_history_pagination) {
       console.log('\nPaginación de Account History:');
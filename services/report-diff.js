@@ -0,0 +1,284 @@
+/**
+ * Report Diff - Compara dos reportes guardados del mismo usuario
+ *
+ * Produce los cambios entre un reporte anterior (from) y uno posterior (to):
+ * - Scores por buró (credit_scores_3b)
+ * - Cuentas agregadas / eliminadas / modificadas (match por nombre + account_number)
+ * - Inquiries nuevos o eliminados
+ * - Deltas de los conteos del Summary
+ * - Cambios en Personal Information
+ */
+
+const discrepancyAnalyzer = require('./discrepancy-analyzer');
+
+const BUREAUS = ['transunion', 'experian', 'equifax'];
+
+// Campos numéricos del Summary (parser.parseSummary)
+const SUMMARY_COUNT_FIELDS = [
+  'total_accounts',
+  'open_accounts',
+  'closed_accounts',
+  'delinquent',
+  'derogatory',
+  'public_records',
+  'inquiries_2years'
+];
+
+/**
+ * Clase principal del comparador de reportes
+ */
+class ReportDiff {
+  /**
+   * Compara dos reportData
+   *
+   * @param {object} fromData - reportData del reporte anterior
+   * @param {object} toData - reportData del reporte posterior
+   * @returns {object} { scores, accounts, inquiries, summary, personal_information }
+   */
+  compare(fromData, toData) {
+    return {
+      scores: this.compareScores(fromData?.credit_scores_3b, toData?.credit_scores_3b),
+      accounts: this.compareAccounts(fromData?.account_history, toData?.account_history),
+      inquiries: this.compareInquiries(fromData?.inquiries, toData?.inquiries),
+      summary: this.compareSummary(fromData?.summary, toData?.summary),
+      personal_information: this.comparePersonalInfo(fromData?.personal_information, toData?.personal_information)
+    };
+  }
+
+  /**
+   * Cambio de score por buró
+   *
+   * @returns {object} { transunion: { before, after, change }, ... }
+   */
+  compareScores(fromScores, toScores) {
+    const result = {};
+
+    BUREAUS.forEach(bureau => {
+      const before = fromScores?.[bureau] ?? null;
+      const after = toScores?.[bureau] ?? null;
+
+      result[bureau] = {
+        before,
+        after,
+        change: before !== null && after !== null ? after - before : null
+      };
+    });
+
+    return result;
+  }
+
+  /**
+   * Cuentas agregadas, eliminadas y modificadas
+   * Una cuenta es la misma si coincide el nombre y al menos un account_number
+   * (o si ninguna de las dos tiene números)
+   *
+   * @returns {object} { added: [...], removed: [...], changed: [...], unchanged: number }
+   */
+  compareAccounts(fromAccounts, toAccounts) {
+    const from = Array.isArray(fromAccounts) ? fromAccounts : [];
+    const to = Array.isArray(toAccounts) ? toAccounts : [];
+    const matchedTo = new Set();
+
+    const removed = [];
+    const changed = [];
+    let unchanged = 0;
+
+    from.forEach(account => {
+      const matchIndex = to.findIndex((candidate, index) =>
+        !matchedTo.has(index) && this.isSameAccount(account, candidate)
+      );
+
+      if (matchIndex === -1) {
+        removed.push(this.describeAccount(account));
+        return;
+      }
+
+      matchedTo.add(matchIndex);
+      const changes = this.compareAccountFields(account, to[matchIndex]);
+
+      if (changes.length > 0) {
+        changed.push({ ...this.describeAccount(to[matchIndex]), changes });
+      } else {
+        unchanged++;
+      }
+    });
+
+    const added = to
+      .filter((account, index) => !matchedTo.has(index))
+      .map(account => this.describeAccount(account));
+
+    return { added, removed, changed, unchanged };
+  }
+
+  /**
+   * Cambios campo a campo de una cuenta en los 3 burós
+   *
+   * @returns {Array<object>} [{ bureau, field, before, after }]
+   */
+  compareAccountFields(fromAccount, toAccount) {
+    const changes = [];
+
+    BUREAUS.forEach(bureau => {
+      const before = fromAccount[bureau];
+      const after = toAccount[bureau];
+      const wasReported = discrepancyAnalyzer.isReported(before);
+      const isReported = discrepancyAnalyzer.isReported(after);
+
+      if (wasReported !== isReported) {
+        changes.push({ bureau, field: 'reported', before: wasReported, after: isReported });
+        return;
+      }
+
+      if (!wasReported) {
+        return;
+      }
+
+      const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+      fields.forEach(field => {
+        const beforeValue = before[field] ?? null;
+        const afterValue = after[field] ?? null;
+
+        if (discrepancyAnalyzer.normalize(beforeValue, 'text') !== discrepancyAnalyzer.normalize(afterValue, 'text')) {
+          changes.push({ bureau, field, before: beforeValue, after: afterValue });
+        }
+      });
+    });
+
+    return changes;
+  }
+
+  /**
+   * Inquiries nuevos y eliminados (match por acreedor, fecha y buró)
+   *
+   * @returns {object} { added: [...], removed: [...] }
+   */
+  compareInquiries(fromInquiries, toInquiries) {
+    const from = Array.isArray(fromInquiries?.details) ? fromInquiries.details : [];
+    const to = Array.isArray(toInquiries?.details) ? toInquiries.details : [];
+
+    const key = inquiry => [
+      this.normalizeKey(inquiry.creditor_name),
+      inquiry.inquiry_date ?? '',
+      this.normalizeKey(inquiry.credit_bureau)
+    ].join('|');
+
+    const fromKeys = new Set(from.map(key));
+    const toKeys = new Set(to.map(key));
+
+    return {
+      added: to.filter(inquiry => !fromKeys.has(key(inquiry))),
+      removed: from.filter(inquiry => !toKeys.has(key(inquiry)))
+    };
+  }
+
+  /**
+   * Deltas de los conteos del Summary por buró
+   *
+   * @returns {object} { transunion: { total_accounts: { before, after, change }, ... }, ... }
+   */
+  compareSummary(fromSummary, toSummary) {
+    const result = {};
+
+    BUREAUS.forEach(bureau => {
+      result[bureau] = {};
+
+      SUMMARY_COUNT_FIELDS.forEach(field => {
+        const before = fromSummary?.[bureau]?.[field] ?? null;
+        const after = toSummary?.[bureau]?.[field] ?? null;
+
+        result[bureau][field] = {
+          before,
+          after,
+          change: before !== null && after !== null ? after - before : null
+        };
+      });
+    });
+
+    return result;
+  }
+
+  /**
+   * Cambios en Personal Information por buró
+   *
+   * @returns {Array<object>} [{ bureau, field, before, after }]
+   */
+  comparePersonalInfo(fromInfo, toInfo) {
+    const changes = [];
+
+    BUREAUS.forEach(bureau => {
+      const before = fromInfo?.[bureau] || {};
+      const after = toInfo?.[bureau] || {};
+      const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+      fields.forEach(field => {
+        const beforeValue = before[field] ?? null;
+        const afterValue = after[field] ?? null;
+
+        if (discrepancyAnalyzer.normalize(beforeValue, 'text') !== discrepancyAnalyzer.normalize(afterValue, 'text')) {
+          changes.push({ bureau, field, before: beforeValue, after: afterValue });
+        }
+      });
+    });
+
+    return changes;
+  }
+
+  /**
+   * Indica si dos cuentas de account_history son la misma cuenta
+   */
+  isSameAccount(a, b) {
+    if (this.normalizeKey(a.account_name) !== this.normalizeKey(b.account_name)) {
+      return false;
+    }
+
+    const numbersA = this.accountNumbers(a);
+    const numbersB = this.accountNumbers(b);
+
+    if (numbersA.length === 0 || numbersB.length === 0) {
+      return numbersA.length === numbersB.length;
+    }
+
+    return numbersA.some(number => numbersB.includes(number));
+  }
+
+  /**
+   * Números de cuenta normalizados reportados por los burós
+   */
+  accountNumbers(account) {
+    return BUREAUS
+      .map(bureau => this.normalizeKey(account[bureau]?.account_number))
+      .filter(Boolean);
+  }
+
+  /**
+   * Identificación corta de una cuenta para la respuesta
+   */
+  describeAccount(account) {
+    const accountNumbers = {};
+
+    BUREAUS.forEach(bureau => {
+      if (account[bureau]?.account_number) {
+        accountNumbers[bureau] = account[bureau].account_number;
+      }
+    });
+
+    return {
+      account_name: account.account_name ?? null,
+      account_numbers: accountNumbers
+    };
+  }
+
+  /**
+   * Normaliza nombres/números para comparar ("Capital One, N.A." -> "capitalonena")
+   *
+   * @param {string|null} value - Texto original
+   * @returns {string}
+   */
+  normalizeKey(value) {
+    return String(value ?? '').toLowerCase().replace(/[^a-z0-9*]/g, '');
+  }
+}
+
+// Exportar instancia singleton del comparador
+module.exports = new ReportDiff();
@@ -0,0 +1,210 @@
+/**
+ * Scheduler Service - Syncs automáticos según la programación de cada usuario
+ *
+ * Cada SYNC_SCHEDULER_INTERVAL ms:
+ * 1. Revisa los jobs lanzados por el scheduler que ya terminaron y guarda
+ *    su resultado en el historial de runs del SyncSchedule
+ * 2. Toma los schedules vencidos (nextRunAt <= ahora) de forma atómica en
+ *    MongoDB, encola un sync con syncService y calcula el próximo nextRunAt
+ *    (con jitter para repartir la carga)
+ *
+ * Nunca se lanza un sync si el usuario ya tiene uno en ejecución (manual o
+ * programado) o agotó su cuota de syncs: el run queda registrado como "skipped"
+ * y se reintenta tras un back-off corto (Retry-After de la cuota o el TTL del
+ * lock) en lugar de esperar el período completo.
+ */
+
+const SyncSchedule = require('../models/SyncSchedule');
+const SyncJob = require('../models/SyncJob');
+const User = require('../models/User');
+const syncService = require('./sync-service');
+
+const DEFAULT_INTERVAL = 60000;
+
+// Un claim más viejo que esto se considera abandonado (p. ej. el proceso murió)
+const CLAIM_TIMEOUT = 10 * 60 * 1000;
+
+const ACTIVE_JOB_STATUSES = ['pending', 'in_progress'];
+
+/**
+ * Clase principal del scheduler
+ */
+class SchedulerService {
+  constructor() {
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  /**
+   * Inicia el loop del scheduler (no hace nada si SYNC_SCHEDULER_ENABLED=false)
+   */
+  start() {
+    if (process.env.SYNC_SCHEDULER_ENABLED === 'false') {
+      console.log('⚠ Scheduler de syncs deshabilitado (SYNC_SCHEDULER_ENABLED=false)');
+      return;
+    }
+
+    if (this.timer) {
+      return;
+    }
+
+    const interval = parseInt(process.env.SYNC_SCHEDULER_INTERVAL, 10) || DEFAULT_INTERVAL;
+
+    this.timer = setInterval(() => this.tick(), interval);
+    this.timer.unref(); // No mantener vivo el proceso solo por el scheduler
+
+    console.log(`✓ Scheduler de syncs iniciado (cada ${interval / 1000}s)`);
+  }
+
+  /**
+   * Detiene el loop del scheduler
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Una pasada del scheduler (nunca lanza errores)
+   *
+   * @returns {Promise<void>}
+   */
+  async tick() {
+    // Una pasada lenta no debe solaparse con la siguiente
+    if (this.ticking) {
+      return;
+    }
+
+    this.ticking = true;
+
+    try {
+      await this.recordFinishedRuns();
+
+      let schedule;
+      while ((schedule = await this.claimDueSchedule())) {
+        await this.runSchedule(schedule);
+      }
+    } catch (error) {
+      console.error('❌ Error en el scheduler de syncs:', error.message);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Toma un schedule vencido de forma atómica (seguro con varias instancias)
+   *
+   * @returns {Promise<object|null>} SyncSchedule tomado o null si no hay vencidos
+   */
+  async claimDueSchedule() {
+    const now = new Date();
+
+    return SyncSchedule.findOneAndUpdate(
+      {
+        enabled: true,
+        nextRunAt: { $lte: now },
+        runningJobId: null,
+        $or: [{ claimedAt: null }, { claimedAt: { $lt: new Date(now.getTime() - CLAIM_TIMEOUT) } }],
+      },
+      { $set: { claimedAt: now } },
+      { returnDocument: 'after', sort: { nextRunAt: 1 } }
+    );
+  }
+
+  /**
+   * Lanza el sync de un schedule tomado y programa el siguiente
+   *
+   * @param {object} schedule - SyncSchedule tomado por claimDueSchedule
+   */
+  async runSchedule(schedule) {
+    const now = new Date();
+    const run = { scheduledFor: schedule.nextRunAt, startedAt: now };
+    let runningJobId = null;
+    // Back-off en ms cuando el run se omite por lock o cuota (null = período normal)
+    let retryIn = null;
+
+    try {
+      const user = await User.findById(schedule.userId);
+
+      if (!user || !user.isActive || !user.hasSmartcreditCredentials()) {
+        Object.assign(run, { status: 'skipped', finishedAt: now, message: 'User inactive or SmartCredit credentials not configured' });
+      } else {
+        const { job, created } = await syncService.enqueue(user._id);
+
+        if (created) {
+          runningJobId = job._id;
+          Object.assign(run, { status: 'running', jobId: job._id });
+          console.log(`→ Sync programado lanzado para usuario ${user._id} (job ${job._id})`);
+        } else {
+          Object.assign(run, { status: 'skipped', finishedAt: now, jobId: job._id, message: 'A sync is already running for this user' });
+          retryIn = syncService.lockTtl;
+        }
+      }
+    } catch (error) {
+      // Cuota agotada o lock tomado: el run se omite, no es una falla del sync
+      const status = ['SYNC_QUOTA_EXCEEDED', 'SYNC_LOCKED'].includes(error.code) ? 'skipped' : 'failed';
+      Object.assign(run, { status, finishedAt: now, message: error.message });
+
+      if (status === 'skipped') {
+        retryIn = error.retryAfter ? error.retryAfter * 1000 : syncService.lockTtl;
+        console.log(`⚠ Sync programado omitido (schedule ${schedule._id}): ${error.message}`);
+      } else {
+        console.error(`❌ Error lanzando sync programado (schedule ${schedule._id}):`, error.message);
+      }
+    }
+
+    // Un run omitido no debe esperar el período completo (hasta un mes), salvo que el próximo llegue antes
+    const nextRunAt = schedule.computeNextRun(now);
+    const retryAt = retryIn !== null ? new Date(now.getTime() + retryIn) : null;
+
+    await SyncSchedule.updateOne(
+      { _id: schedule._id },
+      {
+        $set: {
+          nextRunAt: retryAt && retryAt < nextRunAt ? retryAt : nextRunAt,
+          lastRunAt: now,
+          runningJobId,
+          claimedAt: null,
+        },
+        $push: { runs: { $each: [run], $slice: -SyncSchedule.MAX_RUNS } },
+      }
+    );
+  }
+
+  /**
+   * Guarda el resultado de los jobs programados que ya terminaron
+   * y libera el schedule para el próximo run
+   */
+  async recordFinishedRuns() {
+    const schedules = await SyncSchedule.find({ runningJobId: { $ne: null } });
+
+    for (const schedule of schedules) {
+      const job = await SyncJob.findById(schedule.runningJobId);
+
+      if (job && ACTIVE_JOB_STATUSES.includes(job.status)) {
+        continue;
+      }
+
+      const failed = !job || job.status !== 'completed';
+
+      await SyncSchedule.updateOne(
+        { _id: schedule._id, runningJobId: schedule.runningJobId },
+        {
+          $set: {
+            runningJobId: null,
+            'runs.$[run].status': failed ? 'failed' : 'completed',
+            'runs.$[run].finishedAt': job?.completedAt || new Date(),
+            'runs.$[run].reportId': job?.reportId || null,
+            'runs.$[run].message': failed ? (job?.error?.code || 'Sync job not found') : null,
+          },
+        },
+        { arrayFilters: [{ 'run.jobId': schedule.runningJobId, 'run.status': 'running' }] }
+      );
+    }
+  }
+}
+
+// Exportar instancia singleton del scheduler
+module.exports = new SchedulerService();
@@ -0,0 +1,154 @@
+/**
+ * Score History - Serie de tiempo de scores a partir de los reportes guardados
+ *
+ * Toma credit_scores_3b de cada CreditReport (y el ScoreTracker del dashboard
+ * cuando está disponible) y arma una serie por buró con estadísticas
+ * (min, max, promedio, cambio desde el primer sync) y agrupación mensual opcional.
+ */
+
+const BUREAUS = ['transunion', 'experian', 'equifax'];
+
+// Agrupaciones soportadas
+const BUCKETS = ['month'];
+
+/**
+ * Clase principal del servicio de historial de scores
+ */
+class ScoreHistory {
+  /**
+   * Verifica que la agrupación sea soportada (sin bucket = sin agrupar)
+   *
+   * @param {string|null} bucket - Agrupación pedida
+   * @returns {boolean}
+   */
+  isValidBucket(bucket) {
+    return !bucket || BUCKETS.includes(bucket);
+  }
+
+  /**
+   * Lista de agrupaciones soportadas
+   *
+   * @returns {Array<string>}
+   */
+  getBuckets() {
+    return [...BUCKETS];
+  }
+
+  /**
+   * Construye la serie de tiempo
+   *
+   * @param {Array<object>} reports - CreditReports ordenados por fecha ascendente
+   * @param {object} options - Opciones
+   * @param {string} options.bucket - 'month' para agrupar por mes (default: sin agrupar)
+   * @returns {object} { transunion: {...}, experian: {...}, equifax: {...}, dashboard: {...} }
+   */
+  build(reports, options = {}) {
+    const { bucket = null } = options;
+
+    if (!this.isValidBucket(bucket)) {
+      throw new Error(`Invalid bucket: ${bucket} (supported: ${BUCKETS.join(', ')})`);
+    }
+
+    const series = {};
+
+    BUREAUS.forEach(bureau => {
+      series[bureau] = [];
+    });
+    series.dashboard = [];
+
+    reports.forEach(report => {
+      const scores = report.reportData?.credit_scores_3b;
+
+      BUREAUS.forEach(bureau => {
+        const score = scores?.[bureau];
+
+        if (typeof score === 'number' && !isNaN(score)) {
+          series[bureau].push({ date: report.createdAt, score, reportId: report._id });
+        }
+      });
+
+      // ScoreTracker del dashboard (score único de SmartCredit)
+      const dashboardScore = report.reportData?.dashboard_summary?.score_tracker?.current_score;
+
+      if (typeof dashboardScore === 'number' && !isNaN(dashboardScore)) {
+        const scoreDate = report.reportData.dashboard_summary.credit_score_info?.score_date;
+
+        series.dashboard.push({
+          date: scoreDate ? new Date(scoreDate) : report.createdAt,
+          score: dashboardScore,
+          reportId: report._id
+        });
+      }
+    });
+
+    // score_date del dashboard puede no coincidir con el orden de los syncs
+    series.dashboard.sort((a, b) => a.date - b.date);
+
+    const result = {};
+
+    Object.entries(series).forEach(([name, points]) => {
+      result[name] = {
+        stats: this.computeStats(points),
+        points: bucket === 'month' ? this.bucketByMonth(points) : points
+      };
+    });
+
+    return result;
+  }
+
+  /**
+   * Estadísticas de una serie
+   *
+   * @param {Array<object>} points - [{ date, score }] ordenados por fecha
+   * @returns {object} { count, min, max, average, first, latest, change_since_first }
+   */
+  computeStats(points) {
+    if (points.length === 0) {
+      return { count: 0, min: null, max: null, average: null, first: null, latest: null, change_since_first: null };
+    }
+
+    const scores = points.map(point => point.score);
+    const first = points[0];
+    const latest = points[points.length - 1];
+
+    return {
+      count: points.length,
+      min: Math.min(...scores),
+      max: Math.max(...scores),
+      average: Math.round((scores.reduce((sum, score) => sum + score, 0) / scores.length) * 10) / 10,
+      first: { date: first.date, score: first.score },
+      latest: { date: latest.date, score: latest.score },
+      change_since_first: latest.score - first.score
+    };
+  }
+
+  /**
+   * Agrupa los puntos por mes (el score del mes es el último del mes)
+   *
+   * @param {Array<object>} points - [{ date, score }] ordenados por fecha
+   * @returns {Array<object>} [{ period: 'YYYY-MM', score, average, count }]
+   */
+  bucketByMonth(points) {
+    const months = new Map();
+
+    points.forEach(point => {
+      const period = new Date(point.date).toISOString().slice(0, 7);
+
+      if (!months.has(period)) {
+        months.set(period, []);
+      }
+
+      months.get(period).push(point.score);
+    });
+
+    return Array.from(months.entries()).map(([period, scores]) => ({
+      period,
+      score: scores[scores.length - 1],
+      average: Math.round((scores.reduce((sum, score) => sum + score, 0) / scores.length) * 10) / 10,
+      count: scores.length
+    }));
+  }
+}
+
+// Exportar instancia singleton del servicio
+module.exports = new ScoreHistory();
@@ -0,0 +1,307 @@
+/**
+ * SmartCredit Session - Login y navegación hasta el 3B Report
+ *
+ * Secuencia compartida por server.js (sync API) y scraper.js (standalone):
+ * 1. login()                  → Home → Log In → formulario → /member/
+ * 2. openThreeBureauReport()  → Dropdown "Reports" → "3B Report & Scores"
+ * 3. switchToClassicView()    → Botón "Switch to Classic View" (si existe)
+ * 4. waitForReport()          → Espera la sección de credit scores 3B
+ *
+ * Cada paso usa las estrategias de búsqueda múltiples (por texto, href,
+ * clases) que antes estaban duplicadas en cada entry point.
+ */
+
+const selectors = require('../config/selectors');
+const {
+  navigateWithRetry,
+  clickWithRetry,
+  elementExists,
+  waitForElement
+} = require('../utils/navigation');
+const {
+  LoginFailedError,
+  MfaRequiredError,
+  NavigationFailedError,
+  SelectorNotFoundError
+} = require('../utils/errors');
+
+// Configuración
+const SMARTCREDIT_URL = 'https://www.smartcredit.com/?PID=56032';
+const LOGIN_URL = 'https://www.smartcredit.com/login/';
+const DASHBOARD_URL = 'https://www.smartcredit.com/member/';
+
+const DEFAULT_TIMEOUTS = {
+  navigation: 60000,   // page.goto / waitForNavigation
+  selector: 10000,     // formularios y secciones
+  menuDelay: 2000,     // despliegue del dropdown "Reports"
+  reportDelay: 3000,   // render inicial del 3B Report
+  classicViewDelay: 5000 // render de la vista clásica
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Sesión de navegación sobre una page de Puppeteer
+ */
+class SmartCreditSession {
+  /**
+   * @param {object} page - Instancia de Puppeteer page
+   * @param {object} options - Opciones de la sesión
+   * @param {object} options.timeouts - Sobrescribe DEFAULT_TIMEOUTS
+   */
+  constructor(page, options = {}) {
+    this.page = page;
+    this.timeouts = { ...DEFAULT_TIMEOUTS, ...(options.timeouts || {}) };
+  }
+
+  /**
+   * Inicia sesión en SmartCredit y verifica que se llegue al dashboard
+   *
+   * @param {object} credentials - { email, password }
+   * @returns {Promise<void>}
+   */
+  async login({ email, password }) {
+    const { page, timeouts } = this;
+
+    if (!email || !password) {
+      throw new LoginFailedError('Login falló - Credenciales de SmartCredit incompletas');
+    }
+
+    // Navegar a página principal
+    const homeLoaded = await navigateWithRetry(page, SMARTCREDIT_URL, { timeout: timeouts.navigation });
+
+    if (!homeLoaded) {
+      throw new NavigationFailedError(`Timeout navegando a ${SMARTCREDIT_URL}`, { stage: 'login' });
+    }
+
+    // Click en botón "Log In" (puede que ya estemos en /login/)
+    console.log('→ Buscando botón de login...');
+    if (await elementExists(page, selectors.LOGIN_BUTTON)) {
+      await clickWithRetry(page, selectors.LOGIN_BUTTON, { maxRetries: 2, waitForNavigation: true });
+    } else {
+      console.log('! Botón de login no encontrado, asumiendo que ya estamos en /login/');
+    }
+
+    // Esperar formulario de login (fallback: ir directo a /login/)
+    console.log('→ Esperando formulario de login...');
+    if (!(await waitForElement(page, selectors.EMAIL_INPUT, timeouts.selector))) {
+      const loginLoaded = await navigateWithRetry(page, LOGIN_URL, { timeout: timeouts.navigation });
+
+      if (!loginLoaded) {
+        throw new NavigationFailedError(`Timeout navegando a ${LOGIN_URL}`, { stage: 'login' });
+      }
+    }
+
+    await page.waitForSelector(selectors.EMAIL_INPUT, { timeout: timeouts.selector });
+    await page.waitForSelector(selectors.PASSWORD_INPUT, { timeout: timeouts.selector });
+    console.log('✓ Formulario detectado');
+
+    // Ingresar credenciales
+    console.log('→ Ingresando credenciales...');
+    await page.type(selectors.EMAIL_INPUT, email, { delay: 50 });
+    await page.type(selectors.PASSWORD_INPUT, password, { delay: 50 });
+    console.log(`✓ Credenciales ingresadas (${email.substring(0, 3)}***)`);
+
+    // Submit login
+    console.log('→ Enviando formulario de login...');
+    await Promise.all([
+      page.waitForNavigation({ waitUntil: 'networkidle2', timeout: timeouts.navigation }),
+      page.click(selectors.SUBMIT_BUTTON)
+    ]);
+    console.log('✓ Formulario enviado');
+
+    // Verificar login exitoso
+    const currentUrl = page.url();
+    console.log(`→ URL actual: ${currentUrl}`);
+
+    if (!currentUrl.includes('/member/')) {
+      // SmartCredit pide un código de verificación en lugar de ir al dashboard
+      if (/mfa|otp|verif|two-factor|2fa/i.test(currentUrl) || await elementExists(page, selectors.MFA_CODE_INPUT)) {
+        throw new MfaRequiredError(`Login requiere verificación de identidad (URL: ${currentUrl})`);
+      }
+
+      throw new LoginFailedError('Login falló - No se redirigió al dashboard');
+    }
+
+    console.log('✓ Login exitoso');
+  }
+
+  /**
+   * Abre el 3B Report desde el dashboard (dropdown "Reports" → "3B Report & Scores")
+   *
+   * @returns {Promise<void>}
+   */
+  async openThreeBureauReport() {
+    const { page, timeouts } = this;
+
+    console.log('→ Navegando al 3B Report...');
+
+    // Click en dropdown "Reports"
+    const reportsDropdownFound = await page.evaluate((selector) => {
+      // Estrategia 1: Link con texto exacto "Reports" que sea dropdown
+      let reportsLink = Array.from(document.querySelectorAll(selector)).find(
+        el => el.textContent.trim() === 'Reports' &&
+        (el.classList.contains('dropdown-toggle') || el.hasAttribute('data-toggle'))
+      );
+
+      // Estrategia 2: Cualquier link que contenga "Reports"
+      if (!reportsLink) {
+        reportsLink = Array.from(document.querySelectorAll(selector)).find(
+          el => el.textContent.includes('Reports')
+        );
+      }
+
+      // Estrategia 3: Elementos de navegación
+      if (!reportsLink) {
+        const navElements = document.querySelectorAll('nav a, .nav a, .navbar a, [role="navigation"] a');
+        reportsLink = Array.from(navElements).find(el => el.textContent.includes('Reports'));
+      }
+
+      if (reportsLink) {
+        reportsLink.click();
+        return true;
+      }
+
+      return false;
+    }, selectors.REPORTS_DROPDOWN);
+
+    if (!reportsDropdownFound) {
+      throw new SelectorNotFoundError('dropdown "Reports"');
+    }
+
+    console.log('✓ Click en dropdown "Reports"');
+    await sleep(timeouts.menuDelay);
+
+    // Click en "3B Report & Scores"
+    const report3BLinkFound = await page.evaluate(() => {
+      const allLinks = Array.from(document.querySelectorAll('a'));
+
+      // Estrategia 1: href exacto
+      let link = document.querySelector('a[href="/member/credit-report/smart-3b/"]');
+
+      // Estrategia 2: href que contenga "smart-3b"
+      if (!link) {
+        link = allLinks.find(a => a.href.includes('smart-3b'));
+      }
+
+      // Estrategia 3: href que contenga "3b" y "credit-report"
+      if (!link) {
+        link = allLinks.find(a => a.href.includes('3b') && a.href.includes('credit-report'));
+      }
+
+      // Estrategia 4: texto del link
+      if (!link) {
+        link = allLinks.find(
+          a => a.textContent.includes('3B Report') ||
+               a.textContent.includes('3-Bureau') ||
+               a.textContent.includes('3B Credit')
+        );
+      }
+
+      if (link) {
+        link.click();
+        return true;
+      }
+
+      return false;
+    });
+
+    if (!report3BLinkFound) {
+      throw new SelectorNotFoundError('link "3B Report & Scores"');
+    }
+
+    console.log('✓ Click en "3B Report & Scores"');
+    await page.waitForNavigation({ waitUntil: 'networkidle2', timeout: timeouts.navigation });
+    console.log('✓ Navegación a 3B Report completada');
+
+    // Esperar a que cargue la página del 3B Report
+    await sleep(timeouts.reportDelay);
+  }
+
+  /**
+   * Cambia el 3B Report a la vista clásica (la que esperan los extractores)
+   *
+   * @returns {Promise<boolean>} true si se hizo click, false si ya estábamos en Classic View
+   */
+  async switchToClassicView() {
+    const { page, timeouts } = this;
+
+    console.log('→ Buscando botón "Switch to Classic View"...');
+
+    const classicViewButtonInfo = await page.evaluate((selector) => {
+      const buttons = Array.from(document.querySelectorAll(selector));
+
+      // Estrategia 1: Texto exacto
+      let classicButton = buttons.find(btn => btn.textContent.includes('Switch to Classic View'));
+
+      // Estrategia 2: Cualquier botón que contenga "Classic"
+      if (!classicButton) {
+        classicButton = buttons.find(btn => btn.textContent.includes('Classic'));
+      }
+
+      // Estrategia 3: Cualquier botón que contenga "Switch"
+      if (!classicButton) {
+        classicButton = buttons.find(btn => btn.textContent.includes('Switch'));
+      }
+
+      // Estrategia 4: Links estilizados como botones
+      if (!classicButton) {
+        classicButton = Array.from(document.querySelectorAll('a')).find(
+          link => link.textContent.includes('Classic') || link.textContent.includes('Switch')
+        );
+      }
+
+      if (classicButton) {
+        classicButton.click();
+        return { found: true, text: classicButton.textContent.trim() };
+      }
+
+      return { found: false, text: null };
+    }, selectors.CLASSIC_VIEW_BUTTON);
+
+    if (!classicViewButtonInfo.found) {
+      console.log('⚠ Botón "Switch to Classic View" no encontrado - asumiendo ya estamos en Classic View');
+      return false;
+    }
+
+    console.log(`✓ Click en "${classicViewButtonInfo.text}"`);
+    await sleep(timeouts.classicViewDelay);
+    return true;
+  }
+
+  /**
+   * Espera a que el 3B Report esté renderizado
+   * Si no aparece section.credit-score-3, acepta la página si menciona los 3 burós
+   *
+   * @returns {Promise<void>}
+   */
+  async waitForReport() {
+    const { page, timeouts } = this;
+
+    console.log('→ Esperando datos del 3B Report...');
+
+    if (await waitForElement(page, selectors.CREDIT_SCORE_3B_SECTION, timeouts.selector)) {
+      console.log('✓ Sección de credit scores 3B detectada');
+    } else {
+      const hasScores = await page.evaluate(() => {
+        const text = document.body.textContent;
+        return text.includes('TransUnion') && text.includes('Experian') && text.includes('Equifax');
+      });
+
+      if (!hasScores) {
+        throw new SelectorNotFoundError('credit scores del 3B Report');
+      }
+
+      console.log('✓ Se encontraron referencias a los 3 burós en la página');
+    }
+
+    // Espera adicional para contenido dinámico
+    await sleep(timeouts.reportDelay);
+  }
+}
+
+SmartCreditSession.SMARTCREDIT_URL = SMARTCREDIT_URL;
+SmartCreditSession.LOGIN_URL = LOGIN_URL;
+SmartCreditSession.DASHBOARD_URL = DASHBOARD_URL;
+
+module.exports = SmartCreditSession;
@@ -0,0 +1,207 @@
+/**
+ * Sync Progress - Eventos de progreso de los sync jobs en tiempo real
+ *
+ * sync-service publica aquí cada etapa del flujo (login, navegación, cada
+ * sección de la extracción, guardado) como eventos estructurados:
+ *   { type, stage, message, percent, section, sectionStatus, error, reportId, timestamp }
+ * type: 'stage' | 'section' | 'completed' | 'failed' | 'cancelled'
+ *
+ * GET /api/sync/:jobId/events se suscribe y los reenvía por Server-Sent Events.
+ * Los eventos viven solo en memoria de este proceso: un cliente que se conecta
+ * tarde recibe el último evento (o el estado guardado en MongoDB si el job ya
+ * terminó) y a partir de ahí los nuevos.
+ *
+ * Los streams SSE abiertos se registran para cerrarlos al apagar el servidor
+ * (el heartbeat los mantiene vivos y server.close() no terminaría nunca).
+ */
+
+const { EventEmitter } = require('events');
+
+// Porcentaje al iniciar cada etapa del sync
+const STAGE_PERCENT = {
+  queued: 0,
+  launching_browser: 5,
+  login: 10,
+  dashboard: 20,
+  navigation: 25,
+  extraction: 40,
+  building_report: 90,
+  saving: 95,
+  done: 100,
+};
+
+// La extracción ocupa del 40% al 90%, repartido entre las secciones solicitadas
+const EXTRACTION_START = STAGE_PERCENT.extraction;
+const EXTRACTION_END = STAGE_PERCENT.building_report;
+
+const TERMINAL_TYPES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Clase principal del hub de progreso
+ */
+class SyncProgress {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0); // Un listener por cliente SSE conectado
+    this.lastEvents = new Map(); // jobId → último evento publicado
+    this.streams = new Set(); // Respuestas SSE abiertas
+  }
+
+  /**
+   * Publica un evento de progreso para un job
+   *
+   * @param {string} jobId - ID del job
+   * @param {object} event - { type, stage, message, percent, section, sectionStatus, error, reportId }
+   * @returns {object} Evento publicado (con jobId y timestamp)
+   */
+  publish(jobId, event) {
+    const id = String(jobId);
+    const previous = this.lastEvents.get(id);
+
+    const published = {
+      jobId: id,
+      type: event.type || 'stage',
+      stage: event.stage ?? previous?.stage ?? 'queued',
+      message: event.message ?? null,
+      // El porcentaje nunca retrocede
+      percent: Math.max(event.percent ?? 0, previous?.percent ?? 0),
+      section: event.section ?? null,
+      sectionStatus: event.sectionStatus ?? null,
+      error: event.error ?? null,
+      reportId: event.reportId ?? null,
+      timestamp: new Date().toISOString(),
+    };
+
+    if (TERMINAL_TYPES.includes(published.type)) {
+      this.lastEvents.delete(id);
+    } else {
+      this.lastEvents.set(id, published);
+    }
+
+    this.emitter.emit(id, published);
+    return published;
+  }
+
+  /**
+   * Publica el inicio de una etapa del sync
+   *
+   * @param {string} jobId - ID del job
+   * @param {string} stage - Nombre de la etapa (ver STAGE_PERCENT)
+   * @param {string} message - Descripción legible
+   */
+  stage(jobId, stage, message) {
+    return this.publish(jobId, { type: 'stage', stage, message, percent: STAGE_PERCENT[stage] });
+  }
+
+  /**
+   * Publica el avance de una sección de extractAll3BReport (callback onProgress)
+   *
+   * @param {string} jobId - ID del job
+   * @param {object} progress - { section, status, empty, completed, total, error }
+   */
+  section(jobId, progress) {
+    const ratio = progress.total > 0 ? progress.completed / progress.total : 1;
+    const sectionStatus = progress.status === 'completed' && progress.empty ? 'empty' : progress.status;
+
+    const messages = {
+      started: `Extrayendo ${progress.section}`,
+      completed: `${progress.section} extraído`,
+      empty: `${progress.section} sin datos`,
+      failed: `Error extrayendo ${progress.section}`,
+    };
+
+    return this.publish(jobId, {
+      type: 'section',
+      stage: 'extraction',
+      message: messages[sectionStatus],
+      percent: Math.round(EXTRACTION_START + (EXTRACTION_END - EXTRACTION_START) * ratio),
+      section: progress.section,
+      sectionStatus,
+      error: progress.error,
+    });
+  }
+
+  /**
+   * Suscribe un listener a los eventos de un job
+   *
+   * @param {string} jobId - ID del job
+   * @param {Function} listener - (event) => void
+   * @returns {Function} Función para cancelar la suscripción
+   */
+  subscribe(jobId, listener) {
+    const id = String(jobId);
+    this.emitter.on(id, listener);
+    return () => this.emitter.off(id, listener);
+  }
+
+  /**
+   * Registra una respuesta SSE abierta
+   *
+   * @param {object} res - Respuesta de Express
+   * @returns {Function} Función para quitarla del registro
+   */
+  trackStream(res) {
+    this.streams.add(res);
+    return () => this.streams.delete(res);
+  }
+
+  /**
+   * Cierra todos los streams SSE abiertos (shutdown del servidor)
+   *
+   * @returns {number} Cantidad de streams cerrados
+   */
+  closeStreams() {
+    const count = this.streams.size;
+
+    this.streams.forEach(res => res.end());
+    this.streams.clear();
+
+    return count;
+  }
+
+  /**
+   * Último evento publicado de un job en ejecución
+   *
+   * @param {string} jobId - ID del job
+   * @returns {object|null}
+   */
+  getLastEvent(jobId) {
+    return this.lastEvents.get(String(jobId)) || null;
+  }
+
+  /**
+   * Evento equivalente al estado guardado de un job (clientes que se conectan tarde)
+   *
+   * @param {object} job - SyncJob
+   * @returns {object} Evento de progreso
+   */
+  snapshot(job) {
+    const type = TERMINAL_TYPES.includes(job.status) ? job.status : 'stage';
+
+    return {
+      jobId: String(job._id),
+      type,
+      stage: job.stage,
+      message: type === 'stage' ? null : job.error?.message || null,
+      percent: type === 'completed' ? 100 : STAGE_PERCENT[job.stage] ?? 0,
+      section: null,
+      sectionStatus: null,
+      error: type === 'stage' ? null : job.error?.code || null,
+      reportId: job.reportId || null,
+      timestamp: (job.completedAt || job.updatedAt || new Date()).toISOString(),
+    };
+  }
+
+  /**
+   * Indica si un evento cierra el stream del job
+   *
+   * @param {object} event - Evento de progreso
+   * @returns {boolean}
+   */
+  isTerminal(event) {
+    return TERMINAL_TYPES.includes(event.type);
+  }
+}
+
+// Exportar instancia singleton del hub de progreso
+module.exports = new SyncProgress();
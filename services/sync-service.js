@@ -0,0 +1,780 @@
+/**
+ * Sync Service - Ejecuta el scraping de SmartCredit como job asíncrono
+ *
+ * POST /api/sync crea un SyncJob y responde de inmediato; este servicio
+ * ejecuta el flujo completo (login, navegación, extracción, guardado) en
+ * segundo plano y va actualizando el estado/etapa del job en MongoDB para
+ * que el cliente pueda consultar el progreso con GET /api/sync/:jobId.
+ *
+ * Cada usuario tiene como máximo un sync en ejecución (lock en MongoDB,
+ * colección SyncLock) y una cuota de syncs por hora y por día
+ * (SYNC_QUOTA_HOURLY / SYNC_QUOTA_DAILY, 0 = sin límite).
+ *
+ * DELETE /api/sync/:jobId cancela un sync: se aborta entre etapas y se cierra
+ * su browser context para cortar cualquier espera de Puppeteer en curso. El
+ * CreditReport del job queda como "cancelled" y nunca se guarda como completed.
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const CreditReport = require('../models/CreditReport');
+const SyncJob = require('../models/SyncJob');
+const SyncLock = require('../models/SyncLock');
+const extractionService = require('./extraction-service');
+const reportBuilder = require('./report-builder');
+const SmartCreditSession = require('./smartcredit-session');
+const artifactService = require('./artifact-service');
+const browserPool = require('./browser-pool');
+const disputeOutcomeService = require('./dispute-outcome-service');
+const alertService = require('./alert-service');
+const syncProgress = require('./sync-progress');
+const { AppError, SyncQuotaExceededError, SyncCancelledError, toAppError } = require('../utils/errors');
+
+// Secciones del 3B Report que se extraen en cada sync
+const SYNC_SECTIONS = ['scores', 'personalInfo', 'summary', 'accountHistory', 'publicRecords', 'inquiries', 'creditorContacts'];
+
+const ACTIVE_JOB_STATUSES = ['pending', 'in_progress'];
+
+// Campos aceptados en el body de POST /api/sync
+const SYNC_OPTION_FIELDS = ['sections', 'accountHistory', 'includeDashboard', 'captureArtifacts'];
+const ACCOUNT_HISTORY_OPTION_FIELDS = ['limit', 'offset'];
+
+// Un lock más viejo que esto se considera abandonado (mayor que cualquier sync real)
+const DEFAULT_LOCK_TTL = 30 * 60 * 1000;
+
+// Tiempo entre tomar el lock y crear el SyncJob durante el cual el lock no se considera huérfano
+const LOCK_STARTING_GRACE = 30000;
+
+const DEFAULT_QUOTAS = { hourly: 3, daily: 10 };
+
+const QUOTA_WINDOWS = {
+  hourly: 60 * 60 * 1000,
+  daily: 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Lee un entero de entorno (0 es válido: desactiva el límite)
+ *
+ * @param {string} value - Valor de process.env
+ * @param {number} fallback - Valor por defecto
+ * @returns {number}
+ */
+function parseLimit(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return isNaN(parsed) || parsed < 0 ? fallback : parsed;
+}
+
+/**
+ * Clase principal del servicio de sincronización
+ */
+class SyncService {
+  constructor() {
+    this.lockTtl = parseInt(process.env.SYNC_LOCK_TTL, 10) || DEFAULT_LOCK_TTL;
+    this.quotas = {
+      hourly: parseLimit(process.env.SYNC_QUOTA_HOURLY, DEFAULT_QUOTAS.hourly),
+      daily: parseLimit(process.env.SYNC_QUOTA_DAILY, DEFAULT_QUOTAS.daily),
+    };
+    this.running = new Map(); // jobId → { controller, lease, cancellable, done } de los jobs de este proceso
+  }
+
+  /**
+   * Crea un nuevo job de sync y lo pone en ejecución en segundo plano
+   * Si el usuario ya tiene un sync en ejecución devuelve ese job en lugar de crear otro
+   *
+   * @param {string} userId - ID del usuario dueño del job
+   * @param {object} options - Opciones ya validadas con parseOptions (default: sync completo)
+   * @returns {Promise<object>} { job, created } - created=false si es el job ya en ejecución
+   * @throws {SyncQuotaExceededError} Si el usuario superó su cuota de syncs
+   */
+  async enqueue(userId, options = this.parseOptions()) {
+    const jobId = new mongoose.Types.ObjectId();
+    const runningJob = await this.acquireLock(userId, jobId);
+
+    if (runningJob) {
+      console.log(`→ Sync ya en ejecución para usuario ${userId} (job ${runningJob._id})`);
+      return { job: runningJob, created: false };
+    }
+
+    let job;
+
+    try {
+      await this.checkQuota(userId);
+      job = await SyncJob.create({ _id: jobId, userId, options });
+    } catch (error) {
+      await this.releaseLock(userId, jobId);
+      throw error;
+    }
+
+    console.log(`→ Sync job encolado (ID: ${job._id})`);
+
+    // Ejecutar fuera del ciclo de la request HTTP
+    setImmediate(() => {
+      this.runJob(job._id).catch((error) => {
+        console.error(`❌ Error no controlado en sync job ${job._id}:`, error.message);
+      });
+    });
+
+    return { job, created: true };
+  }
+
+  /**
+   * Valida las opciones de un sync (body de POST /api/sync)
+   *
+   * @param {object} body - { sections, accountHistory: { limit, offset }, includeDashboard, captureArtifacts }
+   * @returns {object} Opciones normalizadas (secciones en el orden de SYNC_SECTIONS)
+   * @throws {AppError} INVALID_SYNC_OPTIONS (400) si algún campo no es válido
+   */
+  parseOptions(body = {}) {
+    const invalid = (message) => new AppError(`Invalid sync options: ${message}`, {
+      code: 'INVALID_SYNC_OPTIONS',
+      status: 400,
+      userMessage: message,
+    });
+    const isInteger = (value, min) => Number.isInteger(value) && value >= min;
+
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+      throw invalid('Request body must be a JSON object');
+    }
+
+    const unknownFields = Object.keys(body).filter(field => !SYNC_OPTION_FIELDS.includes(field));
+
+    if (unknownFields.length > 0) {
+      throw invalid(`Unknown fields: ${unknownFields.join(', ')}. Allowed: ${SYNC_OPTION_FIELDS.join(', ')}`);
+    }
+
+    const { sections, accountHistory, includeDashboard = true, captureArtifacts = null } = body;
+
+    if (sections !== undefined) {
+      if (!Array.isArray(sections) || sections.length === 0) {
+        throw invalid('sections must be a non-empty array');
+      }
+
+      const unknownSections = sections.filter(section => !SYNC_SECTIONS.includes(section));
+
+      if (unknownSections.length > 0) {
+        throw invalid(`Unknown sections: ${unknownSections.join(', ')}. Allowed: ${SYNC_SECTIONS.join(', ')}`);
+      }
+    }
+
+    const requestedSections = sections ? SYNC_SECTIONS.filter(section => sections.includes(section)) : SYNC_SECTIONS;
+
+    if (accountHistory !== undefined) {
+      if (accountHistory === null || typeof accountHistory !== 'object' || Array.isArray(accountHistory)) {
+        throw invalid('accountHistory must be an object');
+      }
+
+      const unknownPagination = Object.keys(accountHistory).filter(field => !ACCOUNT_HISTORY_OPTION_FIELDS.includes(field));
+
+      if (unknownPagination.length > 0) {
+        throw invalid(`Unknown accountHistory fields: ${unknownPagination.join(', ')}. Allowed: limit, offset`);
+      }
+
+      if (accountHistory.limit !== undefined && !isInteger(accountHistory.limit, 1)) {
+        throw invalid('accountHistory.limit must be a positive integer');
+      }
+
+      if (accountHistory.offset !== undefined && !isInteger(accountHistory.offset, 0)) {
+        throw invalid('accountHistory.offset must be a non-negative integer');
+      }
+
+      if (!requestedSections.includes('accountHistory')) {
+        throw invalid('accountHistory options require the accountHistory section');
+      }
+    }
+
+    if (typeof includeDashboard !== 'boolean') {
+      throw invalid('includeDashboard must be a boolean');
+    }
+
+    if (captureArtifacts !== null && !artifactService.isValidCaptureMode(captureArtifacts)) {
+      throw invalid('captureArtifacts must be one of: failure, always, never');
+    }
+
+    return {
+      sections: requestedSections,
+      accountHistory: {
+        limit: accountHistory?.limit,
+        offset: accountHistory?.offset,
+      },
+      includeDashboard,
+      captureArtifacts,
+    };
+  }
+
+  /**
+   * Opciones de un job (los jobs anteriores a las opciones son syncs completos)
+   *
+   * @param {object} job - SyncJob
+   * @returns {object} { sections, accountHistory, includeDashboard, captureArtifacts, partial }
+   */
+  getJobOptions(job) {
+    const options = job.options || {};
+    const sections = options.sections?.length ? [...options.sections] : SYNC_SECTIONS;
+    const accountHistory = {};
+
+    ['limit', 'offset'].forEach(field => {
+      if (typeof options.accountHistory?.[field] === 'number') {
+        accountHistory[field] = options.accountHistory[field];
+      }
+    });
+
+    return {
+      sections,
+      accountHistory,
+      includeDashboard: options.includeDashboard ?? true,
+      captureArtifacts: options.captureArtifacts ?? null,
+      // Un reporte parcial no sirve para detectar cambios (faltan secciones o cuentas)
+      partial: sections.length < SYNC_SECTIONS.length || accountHistory.limit !== undefined || Boolean(accountHistory.offset),
+    };
+  }
+
+  /**
+   * Toma el lock de sync del usuario de forma atómica
+   *
+   * @param {string} userId - ID del usuario
+   * @param {object} jobId - ID del job que tendrá el lock
+   * @returns {Promise<object|null>} null si se tomó el lock; si no, el SyncJob en ejecución
+   */
+  async acquireLock(userId, jobId) {
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const now = new Date();
+
+      try {
+        // Inserta el lock o toma uno vencido; si hay uno vigente, el upsert choca con el índice único
+        await SyncLock.findOneAndUpdate(
+          { userId, expiresAt: { $lte: now } },
+          { $set: { jobId, expiresAt: new Date(now.getTime() + this.lockTtl) } },
+          { upsert: true }
+        );
+        return null;
+      } catch (error) {
+        if (error.code !== 11000) {
+          throw error;
+        }
+      }
+
+      const lock = await SyncLock.findOne({ userId });
+      const runningJob = lock ? await SyncJob.findById(lock.jobId) : null;
+
+      if (runningJob && ACTIVE_JOB_STATUSES.includes(runningJob.status)) {
+        return runningJob;
+      }
+
+      // Otro request tomó el lock y todavía está creando su job
+      if (lock && !runningJob && now - lock.updatedAt < LOCK_STARTING_GRACE) {
+        break;
+      }
+
+      // Lock huérfano (el job ya terminó o nunca se creó): liberarlo y reintentar
+      if (lock) {
+        await this.releaseLock(userId, lock.jobId);
+      }
+    }
+
+    throw new AppError('Sync lock held by a job that is starting', {
+      code: 'SYNC_LOCKED',
+      status: 409,
+      retryable: true,
+      userMessage: 'A sync is already starting for this account. Please try again in a few seconds.',
+    });
+  }
+
+  /**
+   * Libera el lock de sync del usuario (solo si sigue siendo de ese job)
+   *
+   * @param {string} userId - ID del usuario
+   * @param {object} jobId - ID del job dueño del lock
+   */
+  async releaseLock(userId, jobId) {
+    await SyncLock.deleteOne({ userId, jobId });
+  }
+
+  /**
+   * Verifica la cuota de syncs por hora y por día del usuario
+   *
+   * @param {string} userId - ID del usuario
+   * @throws {SyncQuotaExceededError} Con retryAfter en segundos
+   */
+  async checkQuota(userId) {
+    const now = Date.now();
+
+    for (const [window, limit] of Object.entries(this.quotas)) {
+      if (!limit) {
+        continue;
+      }
+
+      const since = new Date(now - QUOTA_WINDOWS[window]);
+      const jobs = await SyncJob.find({ userId, createdAt: { $gt: since } })
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .select('createdAt');
+
+      if (jobs.length >= limit) {
+        // Se libera un cupo cuando el más viejo de los últimos `limit` jobs sale de la ventana
+        const oldest = jobs[jobs.length - 1].createdAt.getTime();
+        const retryAfter = Math.max(1, Math.ceil((oldest + QUOTA_WINDOWS[window] - now) / 1000));
+        throw new SyncQuotaExceededError(window, limit, retryAfter);
+      }
+    }
+  }
+
+  /**
+   * Obtiene un job verificando que pertenezca al usuario (los admins ven todos)
+   *
+   * @param {string} jobId - ID del job
+   * @param {object} user - Usuario autenticado { id, role }
+   * @returns {Promise<object|null>} SyncJob o null si no existe / no es del usuario
+   */
+  async getJob(jobId, user) {
+    if (!mongoose.isValidObjectId(jobId)) {
+      return null;
+    }
+
+    const filter = user.role === 'admin' ? { _id: jobId } : { _id: jobId, userId: user.id };
+    return SyncJob.findOne(filter);
+  }
+
+  /**
+   * Actualiza la etapa actual del job y la publica como evento de progreso
+   *
+   * @param {object} job - SyncJob en ejecución
+   * @param {string} stage - Nombre de la etapa
+   * @param {string} message - Descripción legible para el cliente
+   */
+  async setStage(job, stage, message) {
+    // Punto de cancelación cooperativa entre etapas
+    this.running.get(String(job._id))?.controller.signal.throwIfAborted();
+
+    job.stage = stage;
+    await job.save();
+    syncProgress.stage(job._id, stage, message);
+  }
+
+  /**
+   * Captura artifacts de la página y los registra en el job
+   *
+   * @param {object} job - SyncJob en ejecución
+   * @param {object} page - Instancia de Puppeteer page
+   * @param {object} options - { label, reason } (ver artifactService.capture)
+   */
+  async captureArtifacts(job, page, options) {
+    const capture = await artifactService.capture(page, job._id, {
+      ...options,
+      mode: job.options?.captureArtifacts,
+    });
+
+    if (capture) {
+      job.artifacts.push({
+        label: capture.label,
+        reason: capture.reason,
+        url: capture.url,
+        capturedAt: capture.capturedAt,
+      });
+    }
+  }
+
+  /**
+   * Ejecuta el flujo completo de scraping para un job
+   *
+   * @param {string} jobId - ID del job a ejecutar
+   * @returns {Promise<void>}
+   */
+  async runJob(jobId) {
+    // Registrar el run antes de cualquier await para que cancel() siempre lo encuentre
+    const run = { controller: new AbortController(), lease: null, cancellable: true, done: null };
+    let finishRun;
+    run.done = new Promise((resolve) => { finishRun = resolve; });
+    this.running.set(String(jobId), run);
+
+    // pending → in_progress de forma atómica (un cancel() pudo ganar la carrera)
+    const job = await SyncJob.findOneAndUpdate(
+      { _id: jobId, status: 'pending' },
+      { $set: { status: 'in_progress', startedAt: new Date() } },
+      { returnDocument: 'after' }
+    ).catch((error) => {
+      this.running.delete(String(jobId));
+      finishRun();
+      throw error;
+    });
+
+    if (!job) {
+      this.running.delete(String(jobId));
+      finishRun();
+      return;
+    }
+
+    const { signal } = run.controller;
+    const options = this.getJobOptions(job);
+    const startTime = Date.now();
+    let lease = null;
+    let page = null;
+    let creditReport = null;
+
+    try {
+      console.log('\n========================================');
+      console.log(`  Iniciando scraping de SmartCredit (job ${job._id})`);
+      console.log('========================================');
+
+      // Get user from MongoDB with SmartCredit credentials
+      const user = await User.findById(job.userId);
+
+      if (!user) {
+        throw new AppError('User not found in database', {
+          code: 'USER_NOT_FOUND',
+          status: 404,
+          userMessage: 'User not found.',
+        });
+      }
+
+      // Decrypt SmartCredit credentials only for this run
+      const credentials = user.getSmartcreditCredentials();
+
+      if (!credentials) {
+        throw new AppError('SmartCredit credentials not configured', {
+          code: 'CREDENTIALS_NOT_CONFIGURED',
+          status: 400,
+          userMessage: 'SmartCredit credentials not configured. Please add them in Settings.',
+        });
+      }
+
+      console.log(`✓ User: ${user.email}`);
+
+      // El reporte existe desde el inicio del sync y termina como completed, failed o cancelled
+      creditReport = await CreditReport.create({
+        userId: job.userId,
+        reportData: {},
+        scrapingStatus: 'in_progress',
+        metadata: {
+          scrapedSections: options.sections,
+          partial: options.partial,
+        },
+      });
+      job.reportId = creditReport._id;
+
+      // Contexto incógnito propio del pool (espera en cola si no hay slots libres)
+      await this.setStage(job, 'launching_browser', 'Asignando navegador');
+      lease = await browserPool.acquire({ signal });
+      run.lease = lease;
+      page = await lease.context.newPage();
+      console.log('✓ Contexto de navegador asignado');
+
+      const session = new SmartCreditSession(page);
+
+      await this.setStage(job, 'login', 'Iniciando sesión en SmartCredit');
+      await session.login(credentials);
+      syncProgress.stage(job._id, 'login', 'Login exitoso');
+
+      // Scores del dashboard (/member/) antes de salir hacia el 3B Report
+      let dashboardScores = null;
+
+      if (options.includeDashboard) {
+        await this.setStage(job, 'dashboard', 'Extrayendo scores del dashboard');
+        dashboardScores = await extractionService.extractDashboard(page);
+      }
+
+      // Navegar al 3B Report
+      await this.setStage(job, 'navigation', 'Navegando al 3B Report');
+      await session.openThreeBureauReport();
+      await session.switchToClassicView();
+      console.log('✓ Navegación al 3B Report completada');
+
+      await session.waitForReport();
+      syncProgress.stage(job._id, 'navigation', 'Navegación al 3B Report completada');
+
+      // Extraer datos del 3B Report usando extraction service (FASE 6)
+      await this.setStage(job, 'extraction', 'Extrayendo datos del 3B Report');
+      console.log('→ Extrayendo datos del 3B Report...');
+
+      const raw3BData = await extractionService.extractAll3BReport(page, {
+        sections: options.sections,
+        // Sin límite = extraer todas las cuentas disponibles
+        accountHistory: options.accountHistory,
+        onProgress: (progress) => syncProgress.section(job._id, progress),
+      });
+
+      raw3BData.dashboardScores = dashboardScores;
+      console.log('✓ Datos extraídos con extraction-service');
+
+      // Guardar lo que mostraba la página si alguna sección vino vacía
+      const emptySections = extractionService.findEmptySections(raw3BData, options.sections);
+
+      if (emptySections.length > 0) {
+        console.log(`⚠️  Secciones vacías: ${emptySections.join(', ')}`);
+        await this.captureArtifacts(job, page, {
+          label: 'empty-sections',
+          reason: `Empty sections: ${emptySections.join(', ')}`,
+        });
+      } else if (artifactService.getCaptureMode(options.captureArtifacts) === 'always') {
+        await this.captureArtifacts(job, page, { label: 'run', reason: 'Capture on every run' });
+      }
+
+      // Liberar el slot del pool en cuanto ya no se necesita
+      await browserPool.release(lease);
+      lease = null;
+      run.lease = null;
+
+      // Construir reporte final usando report builder (FASE 6)
+      await this.setStage(job, 'building_report', 'Construyendo reporte');
+      const creditData = reportBuilder.buildFullReport(raw3BData, {
+        includeDashboard: options.includeDashboard
+      });
+
+      // Save report to MongoDB (último punto de cancelación: desde aquí el reporte se guarda completo)
+      await this.setStage(job, 'saving', 'Guardando reporte');
+      run.cancellable = false;
+      signal.throwIfAborted();
+      console.log('→ Saving report to MongoDB...');
+      creditReport.reportData = creditData;
+      creditReport.scrapingStatus = 'completed';
+      creditReport.scrapingDuration = Math.round((Date.now() - startTime) / 1000);
+      creditReport.metadata.emptySections = emptySections;
+
+      await creditReport.save();
+
+      // Update user's lastReportId
+      await User.findByIdAndUpdate(job.userId, {
+        lastReportId: creditReport._id,
+      });
+
+      console.log(`✓ Report saved to MongoDB (ID: ${creditReport._id})`);
+
+      // Un reporte parcial haría ver como eliminado todo lo que no se pidió
+      if (options.partial) {
+        console.log('→ Sync parcial: se omiten disputas y alertas de cambios');
+      } else {
+        // Detectar resultados de disputas abiertas (no debe hacer fallar el sync)
+        try {
+          await disputeOutcomeService.checkOpenDisputes(job.userId, creditReport, { emptySections });
+        } catch (disputeError) {
+          console.error('⚠ Error revisando disputas abiertas:', disputeError.message);
+        }
+
+        // Alertas de cambios contra el reporte anterior (tampoco debe hacer fallar el sync)
+        try {
+          await alertService.processNewReport(job.userId, creditReport, { emptySections });
+        } catch (alertError) {
+          console.error('⚠ Error generando alertas:', alertError.message);
+        }
+      }
+
+      job.status = 'completed';
+      job.stage = 'done';
+      job.reportId = creditReport._id;
+      job.completedAt = new Date();
+      await job.save();
+
+      syncProgress.publish(job._id, {
+        type: 'completed',
+        stage: 'done',
+        message: 'Sync completado',
+        percent: 100,
+        reportId: creditReport._id,
+      });
+
+      console.log('========================================');
+      console.log('  Scraping completado exitosamente');
+      console.log('========================================\n');
+    } catch (error) {
+      if (signal.aborted) {
+        await this.finishCancelled(job, creditReport, startTime);
+        return;
+      }
+
+      console.error('\n❌ ERROR durante el scraping:');
+      console.error(error.message);
+      console.error(error.stack);
+
+      // Normalize to a typed error so the polling client gets a stable code
+      const appError = toAppError(error, {
+        stage: job.stage,
+        userMessage: 'An unexpected error occurred while syncing your credit report. Please try again.',
+        scraping: true,
+      });
+
+      // Guardar HTML, screenshot y URL en el punto de falla (si el navegador sigue abierto)
+      if (lease && page) {
+        await this.captureArtifacts(job, page, {
+          label: 'failure',
+          reason: `${appError.code}: ${error.message}`,
+        });
+      }
+
+      job.status = 'failed';
+      job.completedAt = new Date();
+      job.error = {
+        code: appError.code,
+        message: appError.userMessage,
+        technicalDetails: error.message, // For debugging
+        httpStatus: appError.status,
+        retryable: appError.retryable,
+        stage: appError.stage,
+      };
+      await job.save();
+
+      if (creditReport) {
+        await CreditReport.updateOne({ _id: creditReport._id }, {
+          scrapingStatus: 'failed',
+          scrapingDuration: Math.round((Date.now() - startTime) / 1000),
+          errorMessage: error.message,
+        });
+      }
+
+      syncProgress.publish(job._id, {
+        type: 'failed',
+        stage: appError.stage,
+        message: appError.userMessage,
+        error: appError.code,
+      });
+    } finally {
+      // Devolver el contexto al pool si sigue asignado (release nunca lanza errores)
+      await browserPool.release(lease);
+
+      await this.releaseLock(job.userId, job._id).catch((error) => {
+        console.error('⚠ Error liberando lock de sync:', error.message);
+      });
+
+      this.running.delete(String(job._id));
+      finishRun();
+    }
+  }
+
+  /**
+   * Marca como cancelados un job y su CreditReport (sin guardar datos parciales)
+   *
+   * @param {object} job - SyncJob cancelado
+   * @param {object|null} creditReport - CreditReport del job (null si no se llegó a crear)
+   * @param {number} startTime - Inicio del sync (ms) para scrapingDuration
+   */
+  async finishCancelled(job, creditReport, startTime) {
+    const cancelledError = new SyncCancelledError();
+
+    console.log(`⚠ Sync job ${job._id} cancelado en la etapa ${job.stage}`);
+
+    job.status = 'cancelled';
+    job.completedAt = new Date();
+    job.error = {
+      code: cancelledError.code,
+      message: cancelledError.userMessage,
+      technicalDetails: `Cancelled during stage ${job.stage}`,
+      httpStatus: cancelledError.status,
+      retryable: cancelledError.retryable,
+      stage: job.stage,
+    };
+    await job.save();
+
+    if (creditReport) {
+      await CreditReport.updateOne({ _id: creditReport._id }, {
+        scrapingStatus: 'cancelled',
+        scrapingDuration: startTime ? Math.round((Date.now() - startTime) / 1000) : null,
+        errorMessage: cancelledError.message,
+      });
+    }
+
+    syncProgress.publish(job._id, {
+      type: 'cancelled',
+      stage: job.stage,
+      message: cancelledError.userMessage,
+      error: cancelledError.code,
+    });
+  }
+
+  /**
+   * Cancela un sync pendiente o en ejecución
+   * Espera a que el job en ejecución se detenga antes de responder
+   *
+   * @param {string} jobId - ID del job
+   * @param {object} user - Usuario autenticado { id, role }
+   * @returns {Promise<object|null>} SyncJob actualizado o null si no existe / no es del usuario
+   * @throws {AppError} JOB_NOT_CANCELLABLE si el job ya terminó o está guardando el reporte
+   */
+  async cancel(jobId, user) {
+    const job = await this.getJob(jobId, user);
+
+    if (!job) {
+      return null;
+    }
+
+    const notCancellable = (message, userMessage) => new AppError(message, {
+      code: 'JOB_NOT_CANCELLABLE',
+      status: 409,
+      userMessage,
+    });
+
+    if (!ACTIVE_JOB_STATUSES.includes(job.status)) {
+      throw notCancellable(`Job ${job._id} is already ${job.status}`, `This sync has already finished (${job.status}).`);
+    }
+
+    const run = this.running.get(String(job._id));
+
+    if (run) {
+      if (!run.cancellable) {
+        throw notCancellable(`Job ${job._id} is saving its report`, 'The sync is saving your report and can no longer be cancelled.');
+      }
+
+      console.log(`→ Cancelando sync job ${job._id}...`);
+      run.controller.abort(new SyncCancelledError());
+
+      // Cerrar el contexto corta cualquier espera de Puppeteer en curso (navegación, selectores)
+      await run.lease?.context?.close().catch(() => {});
+      await run.done;
+
+      return SyncJob.findById(job._id);
+    }
+
+    // Sin run en este proceso: job aún no iniciado o abandonado por un proceso que ya no existe
+    const cancelled = await SyncJob.findOneAndUpdate(
+      { _id: job._id, status: { $in: ACTIVE_JOB_STATUSES } },
+      { $set: { status: 'cancelled', completedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+
+    if (!cancelled) {
+      return SyncJob.findById(job._id);
+    }
+
+    const creditReport = cancelled.reportId ? { _id: cancelled.reportId } : null;
+    await this.finishCancelled(cancelled, creditReport, cancelled.startedAt?.getTime());
+    await this.releaseLock(cancelled.userId, cancelled._id);
+
+    return cancelled;
+  }
+
+  /**
+   * Marca como fallidos los jobs que quedaron en ejecución cuando el
+   * servidor se detuvo (el navegador que los ejecutaba ya no existe)
+   * y libera sus locks de sync
+   *
+   * @returns {Promise<number>} Número de jobs marcados como fallidos
+   */
+  async failInterruptedJobs() {
+    const result = await SyncJob.updateMany(
+      { status: { $in: ACTIVE_JOB_STATUSES } },
+      {
+        status: 'failed',
+        completedAt: new Date(),
+        error: {
+          code: 'INTERRUPTED',
+          message: 'The sync was interrupted by a server restart. Please try again.',
+          technicalDetails: 'Job was still running when the server stopped',
+          retryable: true,
+        },
+      }
+    );
+
+    // Sus reportes quedaron a medio crear y sus locks ya no protegen nada
+    await CreditReport.updateMany(
+      { scrapingStatus: { $in: ['pending', 'in_progress'] } },
+      { scrapingStatus: 'failed', errorMessage: 'Sync interrupted by a server restart' }
+    );
+    await SyncLock.deleteMany({});
+
+    if (result.modifiedCount > 0) {
+      console.log(`⚠️  ${result.modifiedCount} sync job(s) interrumpidos marcados como fallidos`);
+    }
+
+    return result.modifiedCount;
+  }
+}
+
+// Exportar instancia singleton del servicio
+module.exports = new SyncService();
@@ -0,0 +1,142 @@
+/**
+ * Authenticated encryption for stored SmartCredit credentials
+ *
+ * Uses AES-256-GCM with a versioned key ring read from the environment:
+ *   CREDENTIALS_ENCRYPTION_KEYS=v1:<base64 32 bytes>,v2:<base64 32 bytes>
+ *   CREDENTIALS_ENCRYPTION_KEY_ID=v2   (optional, defaults to the last key)
+ *
+ * Every encrypted value stores the id of the key that produced it, so old
+ * values keep decrypting after a new key is introduced and can be
+ * re-encrypted later with `npm run rotate-credentials`.
+ */
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12; // Recommended IV size for GCM
+const KEY_LENGTH = 32; // AES-256
+
+/**
+ * Parse the key ring from CREDENTIALS_ENCRYPTION_KEYS
+ * Input: "v1:base64key,v2:base64key"
+ * Output: Map { 'v1' => Buffer, 'v2' => Buffer }
+ */
+function loadKeys() {
+  const rawKeys = process.env.CREDENTIALS_ENCRYPTION_KEYS;
+
+  if (!rawKeys) {
+    throw new Error('CREDENTIALS_ENCRYPTION_KEYS is not defined');
+  }
+
+  const keys = new Map();
+
+  rawKeys.split(',').map((entry) => entry.trim()).filter(Boolean).forEach((entry) => {
+    const separator = entry.indexOf(':');
+
+    if (separator <= 0) {
+      throw new Error(`Invalid credentials encryption key entry: "${entry.substring(0, 8)}..."`);
+    }
+
+    const keyId = entry.substring(0, separator);
+    const key = Buffer.from(entry.substring(separator + 1), 'base64');
+
+    if (key.length !== KEY_LENGTH) {
+      throw new Error(`Credentials encryption key "${keyId}" must be ${KEY_LENGTH} bytes (base64 encoded)`);
+    }
+
+    keys.set(keyId, key);
+  });
+
+  if (keys.size === 0) {
+    throw new Error('CREDENTIALS_ENCRYPTION_KEYS does not contain any key');
+  }
+
+  return keys;
+}
+
+/**
+ * Get the id of the key used for new encryptions
+ */
+function getActiveKeyId() {
+  const keys = loadKeys();
+  const activeKeyId = process.env.CREDENTIALS_ENCRYPTION_KEY_ID || Array.from(keys.keys()).pop();
+
+  if (!keys.has(activeKeyId)) {
+    throw new Error(`CREDENTIALS_ENCRYPTION_KEY_ID "${activeKeyId}" is not in CREDENTIALS_ENCRYPTION_KEYS`);
+  }
+
+  return activeKeyId;
+}
+
+/**
+ * Encrypt a plain text value with the active key
+ * Output: { keyId, iv, authTag, ciphertext } (binary fields base64 encoded)
+ */
+function encrypt(plaintext) {
+  const keyId = getActiveKeyId();
+  const key = loadKeys().get(keyId);
+  const iv = crypto.randomBytes(IV_LENGTH);
+
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(keyId, 'utf8')); // Bind the key id to the ciphertext
+
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+  return {
+    keyId,
+    iv: iv.toString('base64'),
+    authTag: cipher.getAuthTag().toString('base64'),
+    ciphertext: ciphertext.toString('base64'),
+  };
+}
+
+/**
+ * Decrypt a value produced by encrypt()
+ * Throws if the key is unknown or the data was tampered with
+ */
+function decrypt(payload) {
+  if (!payload || !payload.keyId || !payload.ciphertext) {
+    throw new Error('Invalid encrypted payload');
+  }
+
+  const key = loadKeys().get(payload.keyId);
+
+  if (!key) {
+    throw new Error(`Unknown credentials encryption key "${payload.keyId}"`);
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(payload.iv, 'base64'));
+    decipher.setAAD(Buffer.from(payload.keyId, 'utf8'));
+    decipher.setAuthTag(Buffer.from(payload.authTag, 'base64'));
+
+    return Buffer.concat([
+      decipher.update(Buffer.from(payload.ciphertext, 'base64')),
+      decipher.final(),
+    ]).toString('utf8');
+  } catch (error) {
+    throw new Error('Credentials decryption failed');
+  }
+}
+
+/**
+ * Check whether a payload was encrypted with a key other than the active one
+ */
+function needsRotation(payload) {
+  return !payload || payload.keyId !== getActiveKeyId();
+}
+
+/**
+ * Generate a new random key (base64) to add to CREDENTIALS_ENCRYPTION_KEYS
+ */
+function generateKey() {
+  return crypto.randomBytes(KEY_LENGTH).toString('base64');
+}
+
+module.exports = {
+  encrypt,
+  decrypt,
+  needsRotation,
+  getActiveKeyId,
+  generateKey,
+};
@@ -0,0 +1,257 @@
+/**
+ * Typed errors for the API and the scraping flow
+ *
+ * Every error carries a stable `code` (what API clients match on), an HTTP
+ * `status`, a `retryable` flag, the `stage` of the sync where it happened
+ * and a `userMessage` safe to show to end users. The original message stays
+ * in `error.message` for logs and technical details.
+ *
+ * Scraping and extraction modules throw these classes; anything else is
+ * normalized with toAppError() (Puppeteer timeouts, closed targets...).
+ */
+
+const http = require('http');
+
+class AppError extends Error {
+  /**
+   * @param {string} message - Technical message (logs)
+   * @param {object} options - { code, status, retryable, stage, userMessage, cause }
+   */
+  constructor(message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = options.code || 'INTERNAL_ERROR';
+    this.status = options.status || 500;
+    this.retryable = options.retryable ?? false;
+    this.stage = options.stage || null;
+    this.userMessage = options.userMessage || 'An unexpected error occurred. Please try again.';
+  }
+
+  /**
+   * Public error payload for API responses
+   */
+  toJSON() {
+    return {
+      code: this.code,
+      message: this.userMessage,
+      retryable: this.retryable,
+      stage: this.stage,
+    };
+  }
+}
+
+class LoginFailedError extends AppError {
+  constructor(message = 'SmartCredit login failed', options = {}) {
+    super(message, {
+      code: 'AUTH_FAILED',
+      status: 422,
+      retryable: false,
+      stage: 'login',
+      userMessage: 'Invalid SmartCredit credentials. Please update them in Settings.',
+      ...options,
+    });
+  }
+}
+
+class MfaRequiredError extends AppError {
+  constructor(message = 'SmartCredit requested a verification code', options = {}) {
+    super(message, {
+      code: 'MFA_REQUIRED',
+      status: 428,
+      retryable: false,
+      stage: 'login',
+      userMessage: 'SmartCredit requires identity verification. Please log in to SmartCredit once and try again.',
+      ...options,
+    });
+  }
+}
+
+class NavigationFailedError extends AppError {
+  constructor(message = 'Navigation failed', options = {}) {
+    super(message, {
+      code: 'NAVIGATION_FAILED',
+      status: 502,
+      retryable: true,
+      stage: 'navigation',
+      userMessage: 'SmartCredit is temporarily unavailable. Please try again later.',
+      ...options,
+    });
+  }
+}
+
+class SelectorNotFoundError extends AppError {
+  /**
+   * @param {string} target - Description or selector of the missing element
+   */
+  constructor(target, options = {}) {
+    super(`Element not found: ${target}`, {
+      code: 'SELECTOR_NOT_FOUND',
+      status: 502,
+      retryable: true,
+      stage: 'navigation',
+      userMessage: 'SmartCredit is temporarily unavailable. Please try again later.',
+      ...options,
+    });
+    this.target = target;
+  }
+}
+
+class ExtractionIncompleteError extends AppError {
+  /**
+   * @param {Array<string>} sections - Requested sections that came back empty
+   */
+  constructor(sections, options = {}) {
+    super(`No data extracted for sections: ${sections.join(', ')}`, {
+      code: 'EXTRACTION_INCOMPLETE',
+      status: 502,
+      retryable: true,
+      stage: 'extraction',
+      userMessage: 'We could not read your credit report from SmartCredit. Please try again later.',
+      ...options,
+    });
+    this.sections = sections;
+  }
+}
+
+class BrowserCrashError extends AppError {
+  constructor(message = 'Browser crashed', options = {}) {
+    super(message, {
+      code: 'BROWSER_CRASH',
+      status: 503,
+      retryable: true,
+      userMessage: 'The sync was interrupted unexpectedly. Please try again.',
+      ...options,
+    });
+  }
+}
+
+class ScrapeTimeoutError extends AppError {
+  constructor(message = 'Operation timed out', options = {}) {
+    super(message, {
+      code: 'TIMEOUT',
+      status: 504,
+      retryable: true,
+      userMessage: 'SmartCredit took too long to respond. Please try again later.',
+      ...options,
+    });
+  }
+}
+
+class SyncQuotaExceededError extends AppError {
+  /**
+   * @param {string} window - Quota window that was exceeded ('hourly' | 'daily')
+   * @param {number} limit - Syncs allowed per window
+   * @param {number} retryAfter - Seconds until a new sync is allowed (Retry-After header)
+   */
+  constructor(window, limit, retryAfter, options = {}) {
+    super(`Sync quota exceeded: ${limit} ${window} syncs`, {
+      code: 'SYNC_QUOTA_EXCEEDED',
+      status: 429,
+      retryable: true,
+      userMessage: `You have reached the limit of ${limit} ${window} syncs. Please try again later.`,
+      ...options,
+    });
+    this.window = window;
+    this.limit = limit;
+    this.retryAfter = retryAfter;
+  }
+}
+
+class SyncCancelledError extends AppError {
+  constructor(message = 'Sync cancelled by the user', options = {}) {
+    super(message, {
+      code: 'SYNC_CANCELLED',
+      status: 409,
+      retryable: false,
+      userMessage: 'The sync was cancelled.',
+      ...options,
+    });
+  }
+}
+
+// Puppeteer error names (matched by name so this module does not depend on puppeteer)
+const BROWSER_CRASH_ERROR_NAMES = ['TargetCloseError', 'ConnectionClosedError'];
+// Only applied to errors from the scraping flow: other clients (MongoDB...) use similar wording
+const BROWSER_CRASH_PATTERN = /target closed|session closed|browser has disconnected|connection closed/i;
+
+/**
+ * HTTP errors raised by Express middleware (body-parser, http-errors): they carry
+ * their own status (413 payload too large, 415 unsupported media type...)
+ *
+ * @param {Error} error - Thrown error
+ * @returns {number|null} 4xx/5xx status or null
+ */
+function httpStatusOf(error) {
+  const status = error?.status ?? error?.statusCode;
+  return Number.isInteger(status) && status >= 400 && status <= 599 ? status : null;
+}
+
+/**
+ * Normalize any error into an AppError
+ *
+ * @param {Error} error - Thrown error
+ * @param {object} options - { stage, userMessage, scraping } defaults for errors without them;
+ *                           scraping=true for errors from the browser (enables crash detection by message)
+ * @returns {AppError}
+ */
+function toAppError(error, options = {}) {
+  const { stage = null, userMessage, scraping = false } = options;
+
+  if (error instanceof AppError) {
+    if (!error.stage) {
+      error.stage = stage;
+    }
+    return error;
+  }
+
+  const message = error?.message || String(error);
+  const httpStatus = httpStatusOf(error);
+
+  if (httpStatus) {
+    const statusText = http.STATUS_CODES[httpStatus] || 'Error';
+
+    return new AppError(message, {
+      code: statusText.toUpperCase().replace(/[^A-Z0-9]+/g, '_'),
+      status: httpStatus,
+      retryable: httpStatus >= 500,
+      stage,
+      // http-errors flags messages that are safe to show (expose is false for 5xx)
+      userMessage: error.expose ? message : userMessage || statusText,
+      cause: error,
+    });
+  }
+
+  if (error?.name === 'TimeoutError') {
+    return new ScrapeTimeoutError(message, { stage, cause: error });
+  }
+
+  if (BROWSER_CRASH_ERROR_NAMES.includes(error?.name) || (scraping && BROWSER_CRASH_PATTERN.test(message))) {
+    return new BrowserCrashError(message, { stage, cause: error });
+  }
+
+  if (/net::ERR_/.test(message)) {
+    return new NavigationFailedError(message, { stage: stage || 'navigation', cause: error });
+  }
+
+  return new AppError(message, {
+    code: 'UNKNOWN_ERROR',
+    status: 500,
+    stage,
+    userMessage,
+    cause: error,
+  });
+}
+
+module.exports = {
+  AppError,
+  LoginFailedError,
+  MfaRequiredError,
+  NavigationFailedError,
+  SelectorNotFoundError,
+  ExtractionIncompleteError,
+  BrowserCrashError,
+  ScrapeTimeoutError,
+  SyncQuotaExceededError,
+  SyncCancelledError,
+  toAppError,
+};
@@ -9,220 +9,286 @@
  */
 
 /**
- * Extrae todos los datos de Account History
+ * Recorre Account History dentro del navegador aplicando filtros y paginación
+ * ANTES de leer los campos: solo las cuentas de la página solicitada pasan por
+ * el grid, Payment History y Days Late.
  *
  * @param {object} page - Instancia de Puppeteer page
  * @param {object} config - Configuración del extractor (desde config/extractors.js)
- * @returns {Promise<Array<object>>} Array de cuentas con todos sus datos
+ * @param {object} options - { limit, offset, accountType, name, countOnly }
+ * @param {number} options.limit - Máximo de cuentas a extraer (sin límite si se omite)
+ * @param {number} options.offset - Cuentas a saltar (después de filtrar)
+ * @param {string} options.accountType - Filtro por tipo: grupo ("Real Estate Accounts") o account_type de algún buró
+ * @param {string} options.name - Filtro por nombre de la cuenta (contiene, sin distinguir mayúsculas)
+ * @param {boolean} options.countOnly - Solo contar las cuentas que pasan los filtros
+ * @returns {Promise<object>} { accounts: Array, total: number }
  */
-async function extractAccountHistory(page, config) {
-  try {
-    console.log('→ Extrayendo Account History...');
+async function walkAccountHistory(page, config, options = {}) {
+  return page.evaluate(({ cfg, opts }) => {
+    const accountsArray = [];
+
+    // PASO 1: Buscar la sección de Account History específicamente
+    // Buscar todas las secciones section.mt-5
+    const sections = document.querySelectorAll('section.mt-5');
+    console.log(`  → Encontradas ${sections.length} secciones en la página`);
+
+    // Account History suele ser la 3ra o 4ta sección (después de Personal Info y Summary)
+    // Buscar la sección que contenga un h5 con texto "Account History"
+    let accountHistorySection = null;
+    for (const section of sections) {
+      const heading = section.querySelector('h5');
+      if (heading && heading.textContent.includes('Account History')) {
+        accountHistorySection = section;
+        console.log(`  → Encontrada sección "Account History"`);
+        break;
+      }
+    }
+
+    // Si no se encontró por título, usar un fallback (típicamente la 3ra sección)
+    if (!accountHistorySection && sections.length >= 3) {
+      accountHistorySection = sections[2]; // índice 2 = 3ra sección
+      console.log(`  → Usando sección por defecto (índice 2)`);
+    }
+
+    if (!accountHistorySection) {
+      console.error('  ❌ No se encontró la sección de Account History');
+      return { accounts: [], total: 0 };
+    }
+
+    // PASO 2: Buscar contenedores de cuentas SOLO dentro de la sección de Account History
+    const accountContainers = accountHistorySection.querySelectorAll(cfg.accountContainerSelector);
+
+    if (!accountContainers || accountContainers.length === 0) {
+      console.error('  ❌ No se encontraron contenedores de cuentas dentro de Account History');
+      return { accounts: [], total: 0 };
+    }
+
+    console.log(`  → Encontradas ${accountContainers.length} cuentas dentro de Account History`);
+
+    // PASO 3: Filtrar por nombre / tipo leyendo solo esos textos
+    const nameFilter = opts.name ? opts.name.trim().toLowerCase() : null;
+    const typeFilter = opts.accountType ? opts.accountType.trim().toLowerCase() : null;
+
+    // Los títulos de grupo ("Real Estate Accounts") van antes de sus cuentas
+    const typeHeaders = typeFilter
+      ? Array.from(accountHistorySection.querySelectorAll(cfg.accountTypeSelector))
+      : [];
+    const accountTypeRow = cfg.fields.indexOf('account_type') + 1; // +1: la primera celda es el header
+
+    const accountTypesOf = (container) => {
+      const own = container.querySelector(cfg.accountTypeSelector);
+      const group = own || typeHeaders
+        .filter(header => header.compareDocumentPosition(container) & Node.DOCUMENT_POSITION_FOLLOWING)
+        .pop();
+
+      const grid = container.querySelector(cfg.gridSelector);
+      const bureauTypes = grid
+        ? Array.from(grid.querySelectorAll(cfg.bureauColumnSelector))
+          .slice(1)
+          .map(column => column.querySelectorAll(cfg.gridCellSelector)[accountTypeRow]?.textContent || '')
+        : [];
+
+      return [group?.textContent || '', ...bureauTypes].map(text => text.trim().toLowerCase());
+    };
 
-    const accounts = await page.evaluate((cfg) => {
-      const accountsArray = [];
-
-      // PASO 1: Buscar la sección de Account History específicamente
-      // Buscar todas las secciones section.mt-5
-      const sections = document.querySelectorAll('section.mt-5');
-      console.log(`  → Encontradas ${sections.length} secciones en la página`);
-
-      // Account History suele ser la 3ra o 4ta sección (después de Personal Info y Summary)
-      // Buscar la sección que contenga un h5 con texto "Account History"
-      let accountHistorySection = null;
-      for (const section of sections) {
-        const heading = section.querySelector('h5');
-        if (heading && heading.textContent.includes('Account History')) {
-          accountHistorySection = section;
-          console.log(`  → Encontrada sección "Account History"`);
-          break;
+    const candidates = Array.from(accountContainers)
+      .map((container, idx) => {
+        const nameEl = container.querySelector(cfg.accountNameSelector);
+        return { container, idx, accountName: nameEl?.textContent.trim() || `Unknown Account ${idx + 1}` };
+      })
+      .filter(({ container, accountName }) => {
+        if (nameFilter && !accountName.toLowerCase().includes(nameFilter)) {
+          return false;
         }
-      }
 
-      // Si no se encontró por título, usar un fallback (típicamente la 3ra sección)
-      if (!accountHistorySection && sections.length >= 3) {
-        accountHistorySection = sections[2]; // índice 2 = 3ra sección
-        console.log(`  → Usando sección por defecto (índice 2)`);
-      }
+        return !typeFilter || accountTypesOf(container).some(type => type && type.includes(typeFilter));
+      });
 
-      if (!accountHistorySection) {
-        console.error('  ❌ No se encontró la sección de Account History');
-        return [];
-      }
+    const total = candidates.length;
 
-      // PASO 2: Buscar contenedores de cuentas SOLO dentro de la sección de Account History
-      const accountContainers = accountHistorySection.querySelectorAll(cfg.accountContainerSelector);
+    if (opts.countOnly) {
+      return { accounts: [], total };
+    }
 
-      if (!accountContainers || accountContainers.length === 0) {
-        console.error('  ❌ No se encontraron contenedores de cuentas dentro de Account History');
-        return [];
-      }
+    // PASO 4: Paginar y extraer solo las cuentas de la página
+    const offset = opts.offset || 0;
+    const selected = opts.limit === undefined || opts.limit === null
+      ? candidates.slice(offset)
+      : candidates.slice(offset, offset + opts.limit);
 
-      console.log(`  → Encontradas ${accountContainers.length} cuentas dentro de Account History`);
+    selected.forEach(({ container, idx, accountName }) => {
+      try {
+        // Extraer grid de 23 campos × 4 columnas
+        const grid = container.querySelector(cfg.gridSelector);
 
-      accountContainers.forEach((container, idx) => {
-        try {
-          // Extraer nombre de la cuenta
-          const nameEl = container.querySelector(cfg.accountNameSelector);
-          const accountName = nameEl?.textContent.trim() || `Unknown Account ${idx + 1}`;
+        if (!grid) {
+          console.log(`  ⚠ No se encontró grid para cuenta: ${accountName}`);
+          return;
+        }
 
-          // Extraer grid de 23 campos × 4 columnas
-          const grid = container.querySelector(cfg.gridSelector);
+        const bureauColumns = grid.querySelectorAll(cfg.bureauColumnSelector);
 
-          if (!grid) {
-            console.log(`  ⚠ No se encontró grid para cuenta: ${accountName}`);
-            return;
-          }
+        if (bureauColumns.length < 4) {
+          console.log(`  ⚠ Grid incompleto para cuenta: ${accountName}`);
+          return;
+        }
 
-          const bureauColumns = grid.querySelectorAll(cfg.bureauColumnSelector);
+        // Función auxiliar para extraer datos de una columna de buró
+        const extractBureauData = (columnIndex) => {
+          const column = bureauColumns[columnIndex];
+          const cells = column.querySelectorAll(cfg.gridCellSelector);
 
-          if (bureauColumns.length < 4) {
-            console.log(`  ⚠ Grid incompleto para cuenta: ${accountName}`);
-            return;
-          }
+          // Saltar la primera celda (header) y mapear con nombres de campos
+          const cellsArray = Array.from(cells).slice(1);
+          const data = {};
 
-          // Función auxiliar para extraer datos de una columna de buró
-          const extractBureauData = (columnIndex) => {
-            const column = bureauColumns[columnIndex];
-            const cells = column.querySelectorAll(cfg.gridCellSelector);
+          cfg.fields.forEach((fieldName, fieldIdx) => {
+            data[fieldName] = cellsArray[fieldIdx]?.textContent.trim() || null;
+          });
 
-            // Saltar la primera celda (header) y mapear con nombres de campos
-            const cellsArray = Array.from(cells).slice(1);
-            const data = {};
+          return data;
+        };
 
-            cfg.fields.forEach((fieldName, fieldIdx) => {
-              data[fieldName] = cellsArray[fieldIdx]?.textContent.trim() || null;
-            });
+        // Extraer datos de los 3 burós (índices 1, 2, 3)
+        const accountData = {
+          account_name: accountName,
+          transunion: extractBureauData(1),
+          experian: extractBureauData(2),
+          equifax: extractBureauData(3)
+        };
 
-            return data;
-          };
+        // Extraer Payment History
+        try {
+          accountData.payment_history = extractPaymentHistory(container, cfg.paymentHistory);
+        } catch (err) {
+          console.log(`  ⚠ Error extrayendo payment history para ${accountName}:`, err.message);
+          accountData.payment_history = null;
+        }
 
-          // Extraer datos de los 3 burós (índices 1, 2, 3)
-          const accountData = {
-            account_name: accountName,
-            transunion: extractBureauData(1),
-            experian: extractBureauData(2),
-            equifax: extractBureauData(3)
-          };
+        // Extraer Days Late
+        try {
+          accountData.days_late = extractDaysLate(container, cfg.daysLate);
+        } catch (err) {
+          console.log(`  ⚠ Error extrayendo days late para ${accountName}:`, err.message);
+          accountData.days_late = null;
+        }
 
-          // Extraer Payment History
-          try {
-            accountData.payment_history = extractPaymentHistory(container, cfg.paymentHistory);
-          } catch (err) {
-            console.log(`  ⚠ Error extrayendo payment history para ${accountName}:`, err.message);
-            accountData.payment_history = null;
-          }
+        accountsArray.push(accountData);
 
-          // Extraer Days Late
-          try {
-            accountData.days_late = extractDaysLate(container, cfg.daysLate);
-          } catch (err) {
-            console.log(`  ⚠ Error extrayendo days late para ${accountName}:`, err.message);
-            accountData.days_late = null;
-          }
+      } catch (err) {
+        console.log(`  ⚠ Error procesando cuenta ${idx + 1}:`, err.message);
+      }
+    });
 
-          accountsArray.push(accountData);
+    // Funciones auxiliares para Payment History y Days Late
+    function extractPaymentHistory(container, phConfig) {
+      const historyContainer = container.querySelector(phConfig.containerSelector);
 
-        } catch (err) {
-          console.log(`  ⚠ Error procesando cuenta ${idx + 1}:`, err.message);
-        }
-      });
+      if (!historyContainer) {
+        return null;
+      }
 
-      // Funciones auxiliares para Payment History y Days Late
-      function extractPaymentHistory(container, phConfig) {
-        const historyContainer = container.querySelector(phConfig.containerSelector);
+      const bureauHistories = historyContainer.querySelectorAll(phConfig.bureauHistorySelector);
 
-        if (!historyContainer) {
-          return null;
-        }
+      if (!bureauHistories || bureauHistories.length < 3) {
+        return null;
+      }
 
-        const bureauHistories = historyContainer.querySelectorAll(phConfig.bureauHistorySelector);
+      const extractMonthBadges = (bureauHistory) => {
+        const monthsContainer = bureauHistory.querySelector(phConfig.monthContainerSelector);
 
-        if (!bureauHistories || bureauHistories.length < 3) {
-          return null;
+        if (!monthsContainer) {
+          return [];
         }
 
-        const extractMonthBadges = (bureauHistory) => {
-          const monthsContainer = bureauHistory.querySelector(phConfig.monthContainerSelector);
-
-          if (!monthsContainer) {
-            return [];
-          }
+        const months = monthsContainer.querySelectorAll(phConfig.monthSelector);
 
-          const months = monthsContainer.querySelectorAll(phConfig.monthSelector);
+        return Array.from(months).map(monthDiv => {
+          const badge = monthDiv.querySelector(phConfig.badgeSelector);
+          const label = monthDiv.querySelector(phConfig.labelSelector);
 
-          return Array.from(months).map(monthDiv => {
-            const badge = monthDiv.querySelector(phConfig.badgeSelector);
-            const label = monthDiv.querySelector(phConfig.labelSelector);
+          // Extraer clase de status (status-C, status-U, status-1, etc.)
+          const statusClass = Array.from(monthDiv.classList)
+            .find(cls => cls.startsWith('status-'))
+            ?.replace('status-', '') || 'unknown';
 
-            // Extraer clase de status (status-C, status-U, status-1, etc.)
-            const statusClass = Array.from(monthDiv.classList)
-              .find(cls => cls.startsWith('status-'))
-              ?.replace('status-', '') || 'unknown';
-
-            return {
-              month: label?.textContent.trim() || '',
-              status: badge?.textContent.trim() || '',
-              status_class: statusClass
-            };
-          });
-        };
+          return {
+            month: label?.textContent.trim() || '',
+            status: badge?.textContent.trim() || '',
+            status_class: statusClass
+          };
+        });
+      };
+
+      return {
+        transunion: extractMonthBadges(bureauHistories[0]),
+        experian: extractMonthBadges(bureauHistories[1]),
+        equifax: extractMonthBadges(bureauHistories[2])
+      };
+    }
+
+    function extractDaysLate(container, dlConfig) {
+      // Buscar el contenedor de days late dentro de esta cuenta
+      const daysLateSection = Array.from(container.querySelectorAll('div')).find(div => {
+        const heading = div.querySelector('p');
+        return heading && heading.textContent.includes('Days Late - 7 Year History');
+      });
 
-        return {
-          transunion: extractMonthBadges(bureauHistories[0]),
-          experian: extractMonthBadges(bureauHistories[1]),
-          equifax: extractMonthBadges(bureauHistories[2])
-        };
+      if (!daysLateSection) {
+        return null;
       }
 
-      function extractDaysLate(container, dlConfig) {
-        // Buscar el contenedor de days late dentro de esta cuenta
-        const daysLateSection = Array.from(container.querySelectorAll('div')).find(div => {
-          const heading = div.querySelector('p');
-          return heading && heading.textContent.includes('Days Late - 7 Year History');
-        });
+      const grid = daysLateSection.querySelector(dlConfig.gridSelector);
 
-        if (!daysLateSection) {
-          return null;
-        }
+      if (!grid) {
+        return null;
+      }
 
-        const grid = daysLateSection.querySelector(dlConfig.gridSelector);
+      const bureauColumns = grid.querySelectorAll(dlConfig.bureauSelector);
 
-        if (!grid) {
-          return null;
-        }
+      if (!bureauColumns || bureauColumns.length < 3) {
+        return null;
+      }
 
-        const bureauColumns = grid.querySelectorAll(dlConfig.bureauSelector);
+      const extractBureauDaysLate = (bureauColumn) => {
+        const valuesGrid = bureauColumn.querySelector(dlConfig.valuesGridSelector);
 
-        if (!bureauColumns || bureauColumns.length < 3) {
-          return null;
+        if (!valuesGrid) {
+          return { '30': null, '60': null, '90': null };
         }
 
-        const extractBureauDaysLate = (bureauColumn) => {
-          const valuesGrid = bureauColumn.querySelector(dlConfig.valuesGridSelector);
+        const values = valuesGrid.querySelectorAll(dlConfig.valueSelector);
 
-          if (!valuesGrid) {
-            return { '30': null, '60': null, '90': null };
-          }
+        return {
+          '30': values[0]?.textContent.trim() || '0',
+          '60': values[1]?.textContent.trim() || '0',
+          '90': values[2]?.textContent.trim() || '0'
+        };
+      };
 
-          const values = valuesGrid.querySelectorAll(dlConfig.valueSelector);
+      return {
+        transunion: extractBureauDaysLate(bureauColumns[0]),
+        experian: extractBureauDaysLate(bureauColumns[1]),
+        equifax: extractBureauDaysLate(bureauColumns[2])
+      };
+    }
 
-          return {
-            '30': values[0]?.textContent.trim() || '0',
-            '60': values[1]?.textContent.trim() || '0',
-            '90': values[2]?.textContent.trim() || '0'
-          };
-        };
+    return { accounts: accountsArray, total };
+  }, { cfg: config, opts: options });
+}
 
-        return {
-          transunion: extractBureauDaysLate(bureauColumns[0]),
-          experian: extractBureauDaysLate(bureauColumns[1]),
-          equifax: extractBureauDaysLate(bureauColumns[2])
-        };
-      }
+/**
+ * Extrae todos los datos de Account History
+ *
+ * @param {object} page - Instancia de Puppeteer page
+ * @param {object} config - Configuración del extractor (desde config/extractors.js)
+ * @returns {Promise<Array<object>>} Array de cuentas con todos sus datos
+ */
+async function extractAccountHistory(page, config) {
+  try {
+    console.log('→ Extrayendo Account History...');
 
-      return accountsArray;
-    }, config);
+    const { accounts } = await walkAccountHistory(page, config);
 
     console.log(`  ✓ Extraídas ${accounts.length} cuentas exitosamente`);
     return accounts;
@@ -236,31 +302,31 @@ async function extractAccountHistory(page, config) {
 
 /**
  * Extrae Account History con paginación
- * Útil para limitar la cantidad de cuentas extraídas y evitar JSONs muy grandes
+ * Útil para limitar la cantidad de cuentas extraídas y evitar JSONs muy grandes.
+ * Filtros y paginación se aplican en el navegador: las cuentas fuera de la
+ * página no se extraen.
  *
  * @param {object} page - Instancia de Puppeteer page
  * @param {object} config - Configuración del extractor
- * @param {object} options - Opciones de paginación { limit, offset }
- * @returns {Promise<object>} { accounts: Array, total: number, hasMore: boolean }
+ * @param {object} options - { limit, offset, accountType, name, countOnly } (ver walkAccountHistory)
+ *                           Sin limit se extraen todas las cuentas desde offset (limit: null)
+ * @returns {Promise<object>} { accounts: Array, total: number, hasMore: boolean, limit, offset }
  */
 async function extractAccountHistoryPaginated(page, config, options = {}) {
   try {
-    const { limit = 20, offset = 0 } = options;
-
-    console.log(`→ Extrayendo Account History (limit: ${limit}, offset: ${offset})...`);
+    const { limit = null, offset = 0, accountType = null, name = null, countOnly = false } = options;
 
-    // Extraer todas las cuentas
-    const allAccounts = await extractAccountHistory(page, config);
+    console.log(`→ Extrayendo Account History (limit: ${limit ?? 'sin límite'}, offset: ${offset}${countOnly ? ', solo conteo' : ''})...`);
 
-    // Aplicar paginación
-    const total = allAccounts.length;
-    const paginatedAccounts = allAccounts.slice(offset, offset + limit);
-    const hasMore = (offset + limit) < total;
+    const { accounts, total } = await walkAccountHistory(page, config, { limit, offset, accountType, name, countOnly });
+    const hasMore = !countOnly && limit !== null && (offset + limit) < total;
 
-    console.log(`  ✓ Retornando ${paginatedAccounts.length} de ${total} cuentas`);
+    console.log(countOnly
+      ? `  ✓ ${total} cuentas (solo conteo)`
+      : `  ✓ Retornando ${accounts.length} de ${total} cuentas`);
 
     return {
-      accounts: paginatedAccounts,
+      accounts,
       total,
       hasMore,
       limit,
@@ -273,13 +339,27 @@ async function extractAccountHistoryPaginated(page, config, options = {}) {
       accounts: [],
       total: 0,
       hasMore: false,
-      limit: options.limit || 20,
+      limit: options.limit ?? null,
       offset: options.offset || 0
     };
   }
 }
 
+/**
+ * Cuenta las cuentas de Account History sin extraer sus campos
+ *
+ * @param {object} page - Instancia de Puppeteer page
+ * @param {object} config - Configuración del extractor
+ * @param {object} filters - { accountType, name } opcionales
+ * @returns {Promise<number>} Total de cuentas que pasan los filtros
+ */
+async function countAccountHistory(page, config, filters = {}) {
+  const { total } = await extractAccountHistoryPaginated(page, config, { ...filters, countOnly: true });
+  return total;
+}
+
 module.exports = {
   extractAccountHistory,
-  extractAccountHistoryPaginated
+  extractAccountHistoryPaginated,
+  countAccountHistory
 };
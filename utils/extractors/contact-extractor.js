@@ -4,80 +4,145 @@
  * Este módulo maneja la extracción de Creditor Contacts que requiere:
  * - Hacer click en botones "Show" para expandir detalles
  * - Esperar a que se despliegue contenido dinámico
- * - Extraer información de contacto completa
+ * - Extraer nombre, dirección y teléfono de cada acreedor
+ *
+ * Todo se busca SOLO dentro de la sección "Creditor Contacts" (Account History
+ * también tiene botones). El DOM se lee como líneas de texto crudas y se separa
+ * en campos fuera del navegador con parseContact().
  */
 
+// (800) 555-1234, 800-555-1234, 800.555.1234, 1-800-555-1234
+const PHONE_PATTERN = /(?:\+?1[\s.-]?)?\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}(?:\s*(?:x|ext\.?)\s*\d+)?/i;
+
 /**
- * Extrae Creditor Contacts (requiere clicks interactivos)
+ * Hace click en los botones "Show" de la sección Creditor Contacts
  *
  * @param {object} page - Instancia de Puppeteer page
  * @param {object} config - Configuración del extractor (desde config/extractors.js)
- * @returns {Promise<Array<object>>} Array de contactos de acreedores
+ * @param {number|null} index - Solo el botón en esa posición (null = todos)
+ * @returns {Promise<number>} Cantidad de botones expandidos
  */
-async function extractCreditorContacts(page, config) {
-  try {
-    console.log('→ Extrayendo Creditor Contacts...');
+async function clickShowButtons(page, config, index = null) {
+  return page.evaluate((cfg, buttonIndex) => {
+    const section = Array.from(document.querySelectorAll(cfg.sectionSelector)).find(candidate => {
+      const heading = candidate.querySelector('h5');
+      return heading && heading.textContent.trim() === cfg.sectionHeading;
+    });
+
+    if (!section) {
+      return 0;
+    }
 
-    // Paso 1: Expandir todos los botones "Show"
-    console.log('  → Expandiendo botones "Show"...');
+    const buttons = Array.from(section.querySelectorAll(cfg.showButtonSelector))
+      .filter(btn => btn.textContent.trim().toLowerCase().includes(cfg.showButtonText));
+    const targets = buttonIndex === null ? buttons : buttons.slice(buttonIndex, buttonIndex + 1);
 
-    const expandedCount = await page.evaluate((cfg) => {
-      let count = 0;
-      const buttons = document.querySelectorAll(cfg.showButtonSelector);
+    targets.forEach(btn => btn.click());
+    return targets.length;
+  }, config, index);
+}
 
-      buttons.forEach(btn => {
-        const btnText = btn.textContent.trim().toLowerCase();
-        if (btnText.includes('show')) {
-          btn.click();
-          count++;
-        }
-      });
+/**
+ * Lee cada fila de la sección Creditor Contacts como líneas de texto
+ *
+ * @param {object} page - Instancia de Puppeteer page
+ * @param {object} config - Configuración del extractor
+ * @returns {Promise<Array<object>|null>} [{ name, lines: [...] }] o null si no existe la sección
+ */
+async function extractContactsRaw(page, config) {
+  return page.evaluate((cfg) => {
+    const section = Array.from(document.querySelectorAll(cfg.sectionSelector)).find(candidate => {
+      const heading = candidate.querySelector('h5');
+      return heading && heading.textContent.trim() === cfg.sectionHeading;
+    });
+
+    if (!section) {
+      console.error('  ❌ No se encontró la sección de Creditor Contacts');
+      return null;
+    }
 
-      return count;
-    }, config);
+    const containers = section.querySelectorAll(cfg.contactContainerSelector);
+
+    return Array.from(containers).map(container => {
+      // Texto de los botones ("Show"/"Hide") no es parte del contacto
+      const buttonTexts = Array.from(container.querySelectorAll('button'))
+        .map(btn => btn.textContent.trim());
+      const nameEl = container.querySelector(cfg.nameSelector);
+
+      return {
+        name: nameEl ? nameEl.textContent.trim() : null,
+        lines: (container.innerText || container.textContent || '')
+          .split('\n')
+          .map(line => line.replace(/\s+/g, ' ').trim())
+          .filter(line => line && !buttonTexts.includes(line))
+      };
+    });
+  }, config);
+}
 
-    console.log(`  ✓ Expandidos ${expandedCount} botones`);
+/**
+ * Separa las líneas de una fila en { creditor_name, address, phone }
+ *
+ * @param {object} raw - { name, lines } de extractContactsRaw
+ * @returns {object|null} Contacto o null si la fila no tiene nombre
+ */
+function parseContact(raw) {
+  const lines = Array.isArray(raw?.lines) ? [...raw.lines] : [];
+  const name = raw?.name || lines[0] || null;
 
-    // Paso 2: Esperar a que se despliegue contenido
-    if (expandedCount > 0) {
-      console.log('  → Esperando contenido dinámico (2 segundos)...');
-      await new Promise(resolve => setTimeout(resolve, 2000));
-    }
+  if (!name) {
+    return null;
+  }
 
-    // Paso 3: Extraer datos de contactos
-    const contacts = await page.evaluate((cfg) => {
-      const contactsArray = [];
+  let phone = null;
+  const addressLines = [];
 
-      const contactContainers = document.querySelectorAll(cfg.contactContainerSelector);
+  lines
+    .filter(line => line !== name)
+    .forEach(line => {
+      const match = line.match(PHONE_PATTERN);
 
-      if (!contactContainers || contactContainers.length === 0) {
-        return [];
+      // Una línea que es (casi) solo un teléfono no forma parte de la dirección
+      if (match && !phone && line.replace(match[0], '').replace(/phone|tel|:/gi, '').trim() === '') {
+        phone = match[0].trim();
+        return;
       }
 
-      contactContainers.forEach((container, idx) => {
-        try {
-          const contact = {};
+      addressLines.push(line);
+    });
 
-          // Extraer cada campo según la configuración
-          cfg.fields.forEach(field => {
-            const element = container.querySelector(field.selector);
-            contact[field.name] = element?.textContent.trim() || null;
-          });
+  return {
+    creditor_name: name,
+    address: addressLines.length > 0 ? addressLines.join(', ') : null,
+    phone
+  };
+}
 
-          // Solo agregar si tiene al menos un campo válido
-          const hasData = Object.values(contact).some(value => value !== null && value !== '');
+/**
+ * Extrae Creditor Contacts (requiere clicks interactivos)
+ *
+ * @param {object} page - Instancia de Puppeteer page
+ * @param {object} config - Configuración del extractor (desde config/extractors.js)
+ * @returns {Promise<Array<object>>} Array de contactos { creditor_name, address, phone }
+ */
+async function extractCreditorContacts(page, config) {
+  try {
+    console.log('→ Extrayendo Creditor Contacts...');
 
-          if (hasData) {
-            contactsArray.push(contact);
-          }
+    // Paso 1: Expandir todos los botones "Show"
+    console.log('  → Expandiendo botones "Show"...');
+    const expandedCount = await clickShowButtons(page, config);
+    console.log(`  ✓ Expandidos ${expandedCount} botones`);
 
-        } catch (err) {
-          console.log(`  ⚠ Error procesando contacto ${idx + 1}:`, err.message);
-        }
-      });
+    // Paso 2: Esperar a que se despliegue contenido
+    if (expandedCount > 0) {
+      console.log('  → Esperando contenido dinámico (2 segundos)...');
+      await new Promise(resolve => setTimeout(resolve, 2000));
+    }
 
-      return contactsArray;
-    }, config);
+    // Paso 3: Extraer datos de contactos
+    const rawContacts = await extractContactsRaw(page, config);
+    const contacts = (rawContacts || []).map(parseContact).filter(Boolean);
 
     console.log(`  ✓ Extraídos ${contacts.length} contactos exitosamente`);
     return contacts;
@@ -101,37 +166,8 @@ async function extractCreditorContactsSafe(page, config) {
   try {
     console.log('→ Extrayendo Creditor Contacts (modo seguro - sin clicks)...');
 
-    const contacts = await page.evaluate((cfg) => {
-      const contactsArray = [];
-
-      const contactContainers = document.querySelectorAll(cfg.contactContainerSelector);
-
-      if (!contactContainers || contactContainers.length === 0) {
-        return [];
-      }
-
-      contactContainers.forEach((container, idx) => {
-        try {
-          const contact = {};
-
-          cfg.fields.forEach(field => {
-            const element = container.querySelector(field.selector);
-            contact[field.name] = element?.textContent.trim() || null;
-          });
-
-          const hasData = Object.values(contact).some(value => value !== null && value !== '');
-
-          if (hasData) {
-            contactsArray.push(contact);
-          }
-
-        } catch (err) {
-          console.log(`  ⚠ Error procesando contacto ${idx + 1}:`, err.message);
-        }
-      });
-
-      return contactsArray;
-    }, config);
+    const rawContacts = await extractContactsRaw(page, config);
+    const contacts = (rawContacts || []).map(parseContact).filter(Boolean);
 
     console.log(`  ✓ Extraídos ${contacts.length} contactos exitosamente`);
     return contacts;
@@ -143,18 +179,28 @@ async function extractCreditorContactsSafe(page, config) {
 }
 
 /**
- * Verifica si los botones "Show" están presentes en la página
+ * Verifica si hay botones "Show" sin expandir en la sección Creditor Contacts
  *
  * @param {object} page - Instancia de Puppeteer page
- * @param {string} buttonSelector - Selector del botón "Show"
+ * @param {object} config - Configuración del extractor
  * @returns {Promise<boolean>} true si hay botones "Show" presentes
  */
-async function hasShowButtons(page, buttonSelector) {
+async function hasShowButtons(page, config) {
   try {
-    const count = await page.evaluate((selector) => {
-      const buttons = document.querySelectorAll(selector);
-      return buttons.length;
-    }, buttonSelector);
+    const count = await page.evaluate((cfg) => {
+      const section = Array.from(document.querySelectorAll(cfg.sectionSelector)).find(candidate => {
+        const heading = candidate.querySelector('h5');
+        return heading && heading.textContent.trim() === cfg.sectionHeading;
+      });
+
+      if (!section) {
+        return 0;
+      }
+
+      return Array.from(section.querySelectorAll(cfg.showButtonSelector))
+        .filter(btn => btn.textContent.trim().toLowerCase().includes(cfg.showButtonText))
+        .length;
+    }, config);
 
     return count > 0;
 
@@ -169,29 +215,13 @@ async function hasShowButtons(page, buttonSelector) {
  * Útil para expandir contactos de forma controlada
  *
  * @param {object} page - Instancia de Puppeteer page
- * @param {string} buttonSelector - Selector del botón "Show"
- * @param {number} index - Índice del contacto a expandir (0-based)
+ * @param {object} config - Configuración del extractor
+ * @param {number} index - Índice del botón "Show" a expandir (0-based)
  * @returns {Promise<boolean>} true si se expandió exitosamente
  */
-async function expandContactByIndex(page, buttonSelector, index) {
+async function expandContactByIndex(page, config, index) {
   try {
-    const expanded = await page.evaluate((selector, idx) => {
-      const buttons = document.querySelectorAll(selector);
-
-      if (!buttons || idx >= buttons.length) {
-        return false;
-      }
-
-      const button = buttons[idx];
-      const btnText = button.textContent.trim().toLowerCase();
-
-      if (btnText.includes('show')) {
-        button.click();
-        return true;
-      }
-
-      return false;
-    }, buttonSelector, index);
+    const expanded = await clickShowButtons(page, config, index) > 0;
 
     if (expanded) {
       // Esperar un poco para que se despliegue el contenido
@@ -210,5 +240,6 @@ module.exports = {
   extractCreditorContacts,
   extractCreditorContactsSafe,
   hasShowButtons,
-  expandContactByIndex
+  expandContactByIndex,
+  parseContact
 };
@@ -0,0 +1,153 @@
+/**
+ * Dashboard Extractor - Extrae los scores del dashboard de SmartCredit (/member/)
+ *
+ * El dashboard (la página a la que redirige el login) muestra:
+ * - ScoreTracker: score actual, fecha ("As of 12/10/2025") y progreso
+ *   ("Your starting score was 635. You added +178 pts so far!")
+ * - ScoreBuilder: potencial de mejora ("+34 pts")
+ * - ScoreBoost: impacto de pagos y gastos ("+0 pts" / "-168 pts")
+ * - Your Future Score: score proyectado
+ *
+ * El texto crudo se interpreta con las funciones de utils/parser.js y el
+ * resultado es el formato que espera parser.buildCreditScoreData().
+ */
+
+const {
+  extractNumber,
+  parseScoreDate,
+  parseScoreProgress,
+  parseBoostPotential,
+  parseScoreBoost
+} = require('../parser');
+
+/**
+ * Extrae el texto crudo de cada feature del dashboard
+ *
+ * @param {object} page - Instancia de Puppeteer page (en /member/)
+ * @param {object} config - Configuración del extractor (desde config/extractors.js)
+ * @param {object} options - { timeout } espera máxima a que se rendericen los scores
+ * @returns {Promise<object>} { scoreDateText, scoreTracker, scoreBuilder, scoreBoost, futureScore }
+ */
+async function extractDashboardRaw(page, config, options = {}) {
+  const { timeout = 10000 } = options;
+
+  // Los scores se cargan después del login; si no aparecen se extrae lo que haya
+  await page.waitForSelector(config.featureTitleSelector, { timeout }).catch(() => {
+    console.log('  ⚠ No se detectaron los scores del dashboard a tiempo');
+  });
+
+  return page.evaluate((cfg) => {
+    const titles = Array.from(document.querySelectorAll(cfg.featureTitleSelector));
+
+    // Bloque más grande que contiene el título de una sola feature
+    const featureBlock = (title) => {
+      let block = title;
+      while (
+        block.parentElement &&
+        block.parentElement !== document.body &&
+        block.parentElement.querySelectorAll(cfg.featureTitleSelector).length === 1
+      ) {
+        block = block.parentElement;
+      }
+      return block;
+    };
+
+    const readFeature = (name, valueSelector) => {
+      const title = titles.find((el) => {
+        const heading = el.querySelector(cfg.featureHeadingSelector);
+        return heading && heading.textContent.trim().includes(name);
+      });
+
+      if (!title) {
+        return { value: null, text: null };
+      }
+
+      const block = featureBlock(title);
+      const valueElement = block.querySelector(valueSelector);
+      const text = Array.from(block.querySelectorAll(cfg.textSelector))
+        .map(el => el.textContent.replace(/\s+/g, ' ').trim())
+        .filter(Boolean)
+        .join(' ');
+
+      return {
+        value: valueElement ? valueElement.textContent.trim() : null,
+        text: text || null
+      };
+    };
+
+    const scoreDateElement = Array.from(document.querySelectorAll(cfg.scoreDateSelector))
+      .find(el => /as of/i.test(el.textContent));
+
+    return {
+      scoreDateText: scoreDateElement ? scoreDateElement.textContent.trim() : null,
+      scoreTracker: readFeature(cfg.features.scoreTracker, cfg.currentScoreSelector),
+      scoreBuilder: readFeature(cfg.features.scoreBuilder, cfg.boostValueSelector),
+      scoreBoost: readFeature(cfg.features.scoreBoost, cfg.boostValueSelector),
+      futureScore: readFeature(cfg.features.futureScore, cfg.futureScoreSelector)
+    };
+  }, config);
+}
+
+/**
+ * Convierte el texto crudo del dashboard al formato de buildCreditScoreData()
+ *
+ * @param {object} raw - Resultado de extractDashboardRaw
+ * @returns {object|null} dashboardScores o null si no se encontró ningún dato
+ */
+function parseDashboardScores(raw) {
+  if (!raw) {
+    return null;
+  }
+
+  const progress = parseScoreProgress(raw.scoreTracker?.text);
+  const boost = parseScoreBoost(raw.scoreBoost?.text);
+
+  const dashboardScores = {
+    currentScore: extractNumber(raw.scoreTracker?.value),
+    scoreDate: parseScoreDate(raw.scoreDateText),
+    startingScore: progress.startingScore,
+    pointsGained: progress.pointsGained,
+    scoreBuilderBoost: extractNumber(raw.scoreBuilder?.value) ?? parseBoostPotential(raw.scoreBuilder?.text),
+    paymentBoost: boost.paymentBoost,
+    negativeImpact: boost.negativeImpact,
+    scoreBoostDescription: raw.scoreBoost?.text || null,
+    futureScore: extractNumber(raw.futureScore?.value)
+  };
+
+  const hasData = Object.values(dashboardScores).some(value => value !== null && value !== undefined);
+  return hasData ? dashboardScores : null;
+}
+
+/**
+ * Extrae y parsea los scores del dashboard
+ *
+ * @param {object} page - Instancia de Puppeteer page (en /member/)
+ * @param {object} config - Configuración del extractor (desde config/extractors.js)
+ * @param {object} options - { timeout }
+ * @returns {Promise<object|null>} dashboardScores para reportBuilder (rawData.dashboardScores)
+ */
+async function extractDashboardScores(page, config, options = {}) {
+  try {
+    console.log('→ Extrayendo scores del dashboard...');
+
+    const raw = await extractDashboardRaw(page, config, options);
+    const dashboardScores = parseDashboardScores(raw);
+
+    if (dashboardScores) {
+      console.log(`  ✓ Dashboard extraído (ScoreTracker: ${dashboardScores.currentScore ?? 'N/A'})`);
+    } else {
+      console.log('  ⚠ No se encontraron scores en el dashboard');
+    }
+
+    return dashboardScores;
+  } catch (error) {
+    console.error('  ❌ Error extrayendo dashboard:', error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  extractDashboardScores,
+  extractDashboardRaw,
+  parseDashboardScores
+};
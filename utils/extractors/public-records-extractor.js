@@ -0,0 +1,190 @@
+/**
+ * Public Records Extractor - Extrae la lista detallada de Public Records
+ *
+ * Este módulo maneja la extracción de la sección Public Records que contiene:
+ * - Registros individuales (bankruptcies, judgments, tax liens...)
+ * - Un grid por registro con labels + TransUnion + Experian + Equifax
+ * - Tipo, fecha de registro, estado, corte, número de caso y monto por buró
+ *
+ * El DOM se lee crudo (labels + celdas de cada buró) y los campos se mapean
+ * fuera del navegador con parsePublicRecords().
+ */
+
+const BUREAUS = ['transunion', 'experian', 'equifax'];
+
+// Celdas que SmartCredit usa para "sin dato"
+const EMPTY_VALUES = ['', '-', '--', 'n/a'];
+
+/**
+ * Extrae el contenido crudo de cada registro de la sección Public Records
+ *
+ * @param {object} page - Instancia de Puppeteer page
+ * @param {object} config - Configuración del extractor (desde config/extractors.js)
+ * @returns {Promise<Array<object>>} [{ record_name, labels: [...], columns: [[...], [...], [...]] }]
+ */
+async function extractPublicRecordsRaw(page, config) {
+  return page.evaluate((cfg) => {
+    // PASO 1: Buscar la sección de Public Records específicamente
+    const sections = document.querySelectorAll(cfg.sectionSelector);
+
+    let publicRecordsSection = null;
+    for (const section of sections) {
+      const heading = section.querySelector('h5');
+      if (heading && heading.textContent.trim() === cfg.sectionHeading) {
+        publicRecordsSection = section;
+        break;
+      }
+    }
+
+    if (!publicRecordsSection) {
+      console.error('  ❌ No se encontró la sección de Public Records');
+      return [];
+    }
+
+    // PASO 2: Buscar los registros SOLO dentro de la sección
+    const recordContainers = publicRecordsSection.querySelectorAll(cfg.recordContainerSelector);
+    const cellTexts = (column) => Array.from(column.querySelectorAll(cfg.gridCellSelector))
+      .map(cell => cell.textContent.replace(/\s+/g, ' ').trim());
+
+    const records = [];
+
+    recordContainers.forEach((container) => {
+      const grid = container.querySelector(cfg.gridSelector);
+
+      if (!grid) {
+        return;
+      }
+
+      const columns = grid.querySelectorAll(cfg.bureauColumnSelector);
+
+      if (columns.length < 4) {
+        return;
+      }
+
+      const nameEl = container.querySelector(cfg.recordNameSelector);
+
+      records.push({
+        record_name: nameEl ? nameEl.textContent.trim() : null,
+        labels: cellTexts(columns[0]),
+        columns: [cellTexts(columns[1]), cellTexts(columns[2]), cellTexts(columns[3])]
+      });
+    });
+
+    return records;
+  }, config);
+}
+
+/**
+ * Normaliza un label del grid para compararlo ("Date Filed:" → "date filed")
+ *
+ * @param {string} label
+ * @returns {string}
+ */
+function normalizeLabel(label) {
+  return String(label || '').replace(/:\s*$/, '').trim().toLowerCase();
+}
+
+/**
+ * Valor de una celda o null si SmartCredit no reporta el dato
+ *
+ * @param {string} value
+ * @returns {string|null}
+ */
+function cellValue(value) {
+  const text = String(value ?? '').trim();
+  return EMPTY_VALUES.includes(text.toLowerCase()) ? null : text;
+}
+
+/**
+ * Convierte los registros crudos a { record_name, transunion: {...}, experian: {...}, equifax: {...} }
+ * Un buró sin ningún dato queda en null (no reporta ese registro)
+ *
+ * @param {Array<object>} rawRecords - Resultado de extractPublicRecordsRaw
+ * @param {Array<object>} fields - config.fields: [{ name, labels }]
+ * @returns {Array<object>} Registros detallados
+ */
+function parsePublicRecords(rawRecords, fields) {
+  if (!Array.isArray(rawRecords)) {
+    return [];
+  }
+
+  return rawRecords.map((raw) => {
+    const labels = (raw.labels || []).map(normalizeLabel);
+
+    // Fila de cada campo: el primer label configurado que exista en el grid
+    const rows = fields.map((field) => {
+      const row = field.labels
+        .map(label => labels.indexOf(normalizeLabel(label)))
+        .find(index => index !== -1);
+      return { name: field.name, row: row ?? -1 };
+    });
+
+    const record = { record_name: raw.record_name || null };
+
+    BUREAUS.forEach((bureau, bureauIndex) => {
+      const cells = raw.columns?.[bureauIndex] || [];
+      const data = {};
+
+      rows.forEach(({ name, row }) => {
+        data[name] = row === -1 ? null : cellValue(cells[row]);
+      });
+
+      record[bureau] = Object.values(data).some(value => value !== null) ? data : null;
+    });
+
+    // Sin tipo en el grid, el título del registro es el tipo
+    BUREAUS.forEach((bureau) => {
+      if (record[bureau] && !record[bureau].record_type) {
+        record[bureau].record_type = record.record_name;
+      }
+    });
+
+    return record;
+  }).filter(record => BUREAUS.some(bureau => record[bureau]));
+}
+
+/**
+ * Cuenta los registros que reporta cada buró
+ *
+ * @param {Array<object>} records - Resultado de parsePublicRecords
+ * @returns {object} { transunion, experian, equifax }
+ */
+function countPublicRecords(records) {
+  const count = {};
+
+  BUREAUS.forEach((bureau) => {
+    count[bureau] = records.filter(record => record[bureau]).length;
+  });
+
+  return count;
+}
+
+/**
+ * Extrae y parsea todos los Public Records
+ *
+ * @param {object} page - Instancia de Puppeteer page
+ * @param {object} config - Configuración del extractor (desde config/extractors.js)
+ * @returns {Promise<Array<object>>} Registros detallados por buró
+ */
+async function extractPublicRecordsDetails(page, config) {
+  try {
+    console.log('→ Extrayendo detalles de Public Records...');
+
+    const rawRecords = await extractPublicRecordsRaw(page, config);
+    const records = parsePublicRecords(rawRecords, config.fields);
+
+    console.log(`  ✓ Extraídos ${records.length} public records exitosamente`);
+    return records;
+
+  } catch (error) {
+    console.error('❌ Error extrayendo detalles de Public Records:', error.message);
+    return [];
+  }
+}
+
+module.exports = {
+  extractPublicRecordsDetails,
+  extractPublicRecordsRaw,
+  parsePublicRecords,
+  countPublicRecords
+};
@@ -0,0 +1,68 @@
+/**
+ * Snapshot Helpers - Carga snapshots HTML guardados del 3B Report en Puppeteer
+ *
+ * Permite ejecutar los extractores sin una sesión real de SmartCredit:
+ * - El HTML se carga desde un archivo local (file:// o setContent)
+ * - JavaScript de la página deshabilitado (el DOM guardado ya está renderizado)
+ * - Todas las requests de red bloqueadas (modo 100% offline)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+/**
+ * Abre un snapshot HTML local en una nueva page
+ *
+ * @param {object} browser - Instancia de Puppeteer browser (o browser context)
+ * @param {string} snapshotPath - Ruta al archivo .html guardado
+ * @param {object} options - Opciones de carga
+ * @param {string} options.mode - 'file' (file:// URL, default) o 'content' (page.setContent)
+ * @returns {Promise<object>} Page con el snapshot cargado (el caller debe cerrarla)
+ */
+async function openSnapshotPage(browser, snapshotPath, options = {}) {
+  const { mode = 'file' } = options;
+  const absolutePath = path.resolve(snapshotPath);
+
+  if (!fs.existsSync(absolutePath)) {
+    throw new Error(`No se encontró el snapshot: ${absolutePath}`);
+  }
+
+  console.log(`→ Cargando snapshot offline (${mode}): ${absolutePath}`);
+
+  const page = await browser.newPage();
+
+  try {
+    // El DOM guardado ya está renderizado: no ejecutar los scripts de SmartCredit
+    await page.setJavaScriptEnabled(false);
+
+    // Bloquear toda la red salvo el propio archivo local
+    await page.setRequestInterception(true);
+    page.on('request', (request) => {
+      const url = request.url();
+      if (url.startsWith('file:') || url.startsWith('data:') || url === 'about:blank') {
+        request.continue();
+      } else {
+        request.abort();
+      }
+    });
+
+    if (mode === 'content') {
+      const html = fs.readFileSync(absolutePath, 'utf-8');
+      await page.setContent(html, { waitUntil: 'domcontentloaded' });
+    } else {
+      await page.goto(pathToFileURL(absolutePath).href, { waitUntil: 'domcontentloaded' });
+    }
+
+    console.log('  ✓ Snapshot cargado');
+    return page;
+
+  } catch (error) {
+    await page.close().catch(() => {});
+    throw error;
+  }
+}
+
+module.exports = {
+  openSnapshotPage
+};